@@ -3,796 +3,6304 @@
    ============================================================================ */
 
 // Register GSAP plugins for smooth scroll animations
-gsap.registerPlugin(ScrollTrigger);
+gsap.registerPlugin(ScrollTrigger, Flip);
 
 /* ============================================================================
-   VIEW MANAGEMENT SYSTEM
+   MOTION POLICY
    ============================================================================
-   Manages navigation between different page views (home, photos, about, contact)
-   Handles view activation, deactivation, and smooth transitions
+   Single source of truth for how much the site is allowed to move
+   - Follows prefers-reduced-motion unless the visitor picked a setting
+   - The navbar toggle stores the choice in localStorage
+   - Reduced mode: animations become instant or fade-only and
+     infinite tweens are killed
+   - html.reduce-motion also stops CSS animations and transitions
    ============================================================================ */
 
+const MOTION_STORAGE_KEY = 'motion-preference';
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+// Callbacks run with the new state whenever the policy flips
+const motionListeners = [];
+
+// The visitor's choice, read from storage once; storage only persists it
+let motionPreference = (() => {
+    try {
+        const stored = localStorage.getItem(MOTION_STORAGE_KEY);
+        return stored === 'reduced' || stored === 'full' ? stored : null;
+    } catch (e) {
+        return null;
+    }
+})();
+
 /**
- * Switches between different views on the page
- * @param {string} viewId - The ID of the view to show (home, projects, photos, about, contact)
+ * Read the visitor's preference
+ * @returns {string|null} 'reduced', 'full', or null to follow the system
  */
-function showView(viewId) {
-    // Hide all existing views and remove active state from navigation
-    document.querySelectorAll('.view-section').forEach(section => section.classList.remove('active'));
-    document.querySelectorAll('.nav-item').forEach(item => item.classList.remove('active'));
+function getMotionPreference() {
+    return motionPreference;
+}
 
-    // Get target view and navigation link elements
-    const targetView = document.getElementById('view-' + viewId);
-    const targetLink = document.getElementById('link-' + viewId);
+/**
+ * Whether animations should be reduced right now
+ * @returns {boolean} True for instant/fade-only animations
+ */
+function isReducedMotion() {
+    const preference = getMotionPreference();
+    if (preference === 'reduced') return true;
+    if (preference === 'full') return false;
+    return reducedMotionQuery.matches;
+}
 
-    // Execute view change if it exists
-    if (targetView) {
-        // Activate the new view and corresponding nav link
-        targetView.classList.add('active');
-        if (targetLink) targetLink.classList.add('active');
+/**
+ * Pick a tween duration under the motion policy
+ * @param {number} duration - Full-motion duration in seconds
+ * @returns {number} The duration, or 0 when motion is reduced
+ */
+function motionDuration(duration) {
+    return isReducedMotion() ? 0 : duration;
+}
 
-        // Update URL hash for browser history
-        window.history.replaceState(null, null, `#${viewId}`);
+/**
+ * Register a callback for policy changes
+ * @param {Function} callback - Called with (reduced: boolean)
+ */
+function onMotionChange(callback) {
+    motionListeners.push(callback);
+}
 
-        // Scroll to top of page smoothly
-        window.scrollTo(0, 0);
+/**
+ * Apply the current policy to the document and notify features
+ */
+function applyMotionPolicy() {
+    const reduced = isReducedMotion();
+    document.documentElement.classList.toggle('reduce-motion', reduced);
 
-        // Fade in animation for smooth view transition
-        gsap.from(targetView, { opacity: 0, y: 30, duration: 0.8, ease: "power2.out" });
+    const toggle = document.getElementById('motion-toggle');
+    if (toggle) toggle.setAttribute('aria-pressed', reduced);
 
-        // Run special animations based on the view being displayed
-        if (viewId === 'about') animateBadge();
+    motionListeners.forEach(callback => callback(reduced));
+}
 
-        // Refresh scroll triggers for animations
-        ScrollTrigger.refresh();
-    }
+/**
+ * Title the navbar toggle in the active language
+ * Registered after LOCALIZATION, since t() isn't ready while the policy is first applied
+ */
+function labelMotionToggle() {
+    const toggle = document.getElementById('motion-toggle');
+    if (!toggle) return;
+    toggle.setAttribute('title', isReducedMotion()
+        ? t('motion.enable', 'Turn animations on')
+        : t('motion.reduce', 'Reduce animations'));
 }
 
 /**
- * Initialize page view on first load based on URL hash
- * Displays home view by default
+ * Store the visitor's choice and apply it
+ * @param {string|null} preference - 'reduced', 'full', or null to follow the system
  */
+function setMotionPreference(preference) {
+    motionPreference = preference || null;
+    try {
+        if (preference) {
+            localStorage.setItem(MOTION_STORAGE_KEY, preference);
+        } else {
+            localStorage.removeItem(MOTION_STORAGE_KEY);
+        }
+    } catch (e) {
+        // Storage unavailable - the choice lasts for this page only
+    }
+    applyMotionPolicy();
+}
+
 /**
- * Initialize preloader animation - New Typographic Reveal
+ * Flip between reduced and full motion (navbar toggle)
  */
-function initPreloader() {
-    const percentEl = document.querySelector('.loader-progress');
-    const brandEl = document.querySelector('.loader-brand');
-    const preloader = document.getElementById('preloader');
+function toggleReducedMotion() {
+    setMotionPreference(isReducedMotion() ? 'full' : 'reduced');
+}
 
-    if (!percentEl || !preloader) return;
+// Follow system changes while the visitor hasn't chosen
+reducedMotionQuery.addEventListener('change', () => {
+    if (!getMotionPreference()) applyMotionPolicy();
+});
 
-    let count = 0;
-    let isLoaded = false;
-    document.body.classList.add('loading');
+applyMotionPolicy();
 
-    // Ensure we capture the load event even if it fires early
-    if (document.readyState === 'complete') {
-        isLoaded = true;
-    } else {
-        window.addEventListener('load', () => { isLoaded = true; });
-    }
+/* ============================================================================
+   THEME SYSTEM
+   ============================================================================
+   Light/dark mode and named accent palettes
+   - Follows prefers-color-scheme unless the visitor picked a mode
+   - Toggles in the navbar and mobile overlay store choices in localStorage
+   - Palettes remap the c1-c5 heading colours (see ACCENT PALETTES in style.css)
+   - The inline bootstrap in index.html applies the same rules before first
+     paint, so keep the storage keys in sync with it
+   ============================================================================ */
 
-    // Counting animation
-    const counterInterval = setInterval(() => {
-        // Random increment for organic feel
-        // Increased increment range for faster counting
-        const increment = Math.floor(Math.random() * 8) + 2;
-        count += increment;
+const THEME_STORAGE_KEY = 'theme-preference';
+const PALETTE_STORAGE_KEY = 'accent-palette';
+const darkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
 
-        if (count >= 100) {
-            count = 100;
-            clearInterval(counterInterval);
+// Named accent palettes, in switcher order (the first is the default)
+// The ids are repeated in the theme bootstrap in index.html; label is the
+// English fallback for theme.palettes.<id>
+const ACCENT_PALETTES = [
+    { id: 'classic', label: 'Classic' },
+    { id: 'sunset', label: 'Sunset' },
+    { id: 'ocean', label: 'Ocean' },
+    { id: 'meadow', label: 'Meadow' },
+    { id: 'candy', label: 'Candy' }
+];
 
-            // Wait for window load
-            const checkLoad = setInterval(() => {
-                if (isLoaded) {
-                    clearInterval(checkLoad);
-                    finishLoading();
-                }
-            }, 50); // Faster check
-        }
+// Callbacks run with (theme, palette) whenever either changes
+const themeListeners = [];
 
-        percentEl.innerText = count + '%';
+// Settings by storage key, read from storage once; storage only persists them
+const themeSettings = {};
 
-        // Dynamic opacity for brand text based on progress
-        if (brandEl) {
-            brandEl.style.opacity = 0.3 + (count / 200); // 0.3 to 0.8
+/**
+ * Read a theme setting
+ * @param {string} key - Storage key
+ * @returns {string|null} The setting, or null if unset
+ */
+function readThemeSetting(key) {
+    if (!(key in themeSettings)) {
+        try {
+            themeSettings[key] = localStorage.getItem(key);
+        } catch (e) {
+            themeSettings[key] = null;
         }
+    }
+    return themeSettings[key];
+}
 
-    }, 20); // Faster interval (was 30)
+/**
+ * Store or clear a theme setting
+ * @param {string} key - Storage key
+ * @param {string|null} value - Value to store, or null to clear it
+ */
+function writeThemeSetting(key, value) {
+    themeSettings[key] = value || null;
+    try {
+        if (value) {
+            localStorage.setItem(key, value);
+        } else {
+            localStorage.removeItem(key);
+        }
+    } catch (e) {
+        // Storage unavailable - the choice lasts for this page only
+    }
+}
 
-    function finishLoading() {
-        const tl = gsap.timeline();
+/**
+ * Read the stored mode
+ * @returns {string|null} 'light', 'dark', or null to follow the system
+ */
+function getThemePreference() {
+    const preference = readThemeSetting(THEME_STORAGE_KEY);
+    return preference === 'light' || preference === 'dark' ? preference : null;
+}
 
-        // 1. Scale up the number and fade out
-        tl.to(percentEl, {
-            scale: 1.5,
-            opacity: 0,
-            duration: 0.5, // Faster (was 0.8)
-            ease: "power2.inOut"
-        })
-            .to(brandEl, {
-                opacity: 0,
-                y: -50,
-                duration: 0.3, // Faster (was 0.5)
-                ease: "power2.in"
-            }, "<") // Start with previous
+/**
+ * Mode in effect right now
+ * @returns {string} 'light' or 'dark'
+ */
+function getTheme() {
+    return getThemePreference() || (darkSchemeQuery.matches ? 'dark' : 'light');
+}
 
-            // 2. Slide the entire overlay up
-            .to(preloader, {
-                yPercent: -100,
-                duration: 0.8, // Faster (was 1.2)
-                ease: "expo.inOut",
-                onStart: () => {
-                    // Animate Navbar
-                    gsap.to("nav", { y: 0, opacity: 1, duration: 0.6, ease: "power2.out" });
-                }
-            })
-            .set(preloader, { display: 'none' })
-            .call(() => {
-                document.body.classList.remove('loading');
-                animateHeroEntrance();
-            });
-    }
+/**
+ * Palette in effect right now
+ * @returns {string} Palette id from ACCENT_PALETTES
+ */
+function getAccentPalette() {
+    const stored = readThemeSetting(PALETTE_STORAGE_KEY);
+    return ACCENT_PALETTES.some(palette => palette.id === stored) ? stored : ACCENT_PALETTES[0].id;
 }
 
 /**
- * Animate hero section elements on page entrance
+ * Register a callback for theme changes
+ * @param {Function} callback - Called with (theme, palette)
  */
-function animateHeroEntrance() {
-    // Navbar animation moved to finishLoading() for earlier trigger
+function onThemeChange(callback) {
+    themeListeners.push(callback);
+}
 
-    // Reveal Hero Content
-    const heroWords = document.querySelectorAll('.hero-word');
+/**
+ * Apply the current mode and palette to the document and sync the toggles
+ */
+function applyTheme() {
+    const theme = getTheme();
+    const palette = getAccentPalette();
+    const root = document.documentElement;
 
-    // Temporarily disable CSS transitions to avoid conflict with GSAP
-    gsap.set(heroWords, { transition: 'none' });
+    root.setAttribute('data-theme', theme);
+    root.setAttribute('data-palette', palette);
 
-    gsap.to(heroWords, {
-        y: 0,
-        opacity: 1,
-        duration: 1.2,
-        stagger: 0.1,
-        ease: "expo.out",
-        onComplete: () => {
-            // Restore transitions for hover effects
-            gsap.set(heroWords, { clearProps: "transition" });
-        }
+    document.querySelectorAll('.theme-toggle').forEach(toggle => {
+        toggle.setAttribute('aria-pressed', theme === 'dark');
     });
 
-    gsap.from(".hero-subtitle", {
-        y: 20,
-        opacity: 0,
-        duration: 1,
-        delay: 0.5,
-        ease: "power2.out"
+    document.querySelectorAll('.palette-swatch').forEach(swatch => {
+        swatch.setAttribute('aria-pressed', swatch.dataset.palette === palette);
     });
 
-    gsap.from(".hero-top-bar, .hero-bottom-bar, .hero-age-circle", {
-        opacity: 0,
-        duration: 1,
-        delay: 0.8,
-        stagger: 0.1,
-        ease: "power2.out"
-    });
+    themeListeners.forEach(callback => callback(theme, palette));
 }
 
-// Initial call to start the preloader
-initPreloader();
+/**
+ * Store the visitor's mode and apply it
+ * @param {string|null} preference - 'light', 'dark', or null to follow the system
+ */
+function setThemePreference(preference) {
+    writeThemeSetting(THEME_STORAGE_KEY, preference);
+    applyTheme();
+}
 
-window.addEventListener('DOMContentLoaded', () => {
-    // Hide nav initially for entrance animation
-    gsap.set("nav", { y: -100, opacity: 0 });
+/**
+ * Flip between light and dark (navbar and overlay toggles)
+ */
+function toggleTheme() {
+    setThemePreference(getTheme() === 'dark' ? 'light' : 'dark');
+}
 
-    // Get the current URL hash (e.g., #about, #contact)
-    const currentHash = window.location.hash.replace('#', '');
+/**
+ * Store and apply an accent palette
+ * @param {string} id - Palette id from ACCENT_PALETTES
+ */
+function setAccentPalette(id) {
+    if (!ACCENT_PALETTES.some(palette => palette.id === id)) return;
+    writeThemeSetting(PALETTE_STORAGE_KEY, id === ACCENT_PALETTES[0].id ? null : id);
+    applyTheme();
+}
 
-    // Show the view from URL if it exists, otherwise show home
-    if (currentHash && document.getElementById('view-' + currentHash)) {
-        showView(currentHash);
-    } else {
-        showView('home');
-    }
-});
+/**
+ * Switch to the next palette (navbar palette button)
+ */
+function cycleAccentPalette() {
+    const index = ACCENT_PALETTES.findIndex(palette => palette.id === getAccentPalette());
+    setAccentPalette(ACCENT_PALETTES[(index + 1) % ACCENT_PALETTES.length].id);
+}
 
-/* ============================================================================
-   HERO INTERACTION
-   ============================================================================ */
+/**
+ * Name a palette in the active language
+ * @param {string} id - Palette id from ACCENT_PALETTES
+ * @returns {string} Label such as "Sunset"
+ */
+function getPaletteLabel(id) {
+    const palette = ACCENT_PALETTES.find(entry => entry.id === id) || ACCENT_PALETTES[0];
+    return t(`theme.palettes.${palette.id}`, palette.label);
+}
 
 /**
- * Handle mouse movement for hero section effects
- * - Text Gradient "Spotlight"
- * - Graphic Parallax
+ * Title the mode toggles and name the palette controls in the active language
+ * Registered after LOCALIZATION, since t() isn't ready while the theme is first applied
  */
-const heroSection = document.getElementById('hero-aesthetic');
-const heroText = document.querySelectorAll('.aesthetic-headline');
-const heroGraphic = document.querySelector('.hero-bg-graphic');
+function labelThemeControls() {
+    const title = getTheme() === 'dark'
+        ? t('theme.toLight', 'Switch to light mode')
+        : t('theme.toDark', 'Switch to dark mode');
+    document.querySelectorAll('.theme-toggle').forEach(toggle => toggle.setAttribute('title', title));
 
-if (heroSection) {
-    heroSection.addEventListener('mousemove', (e) => {
-        const { clientX, clientY } = e;
-        const { innerWidth, innerHeight } = window;
+    const paletteToggle = document.getElementById('palette-toggle');
+    if (paletteToggle) {
+        paletteToggle.setAttribute('title', t('theme.accentCurrent', 'Accent colours: {name}', { name: getPaletteLabel(getAccentPalette()) }));
+    }
 
-        // Normalize mouse position (-1 to 1)
-        const xPos = (clientX / innerWidth - 0.5) * 2;
-        const yPos = (clientY / innerHeight - 0.5) * 2;
+    document.querySelectorAll('.palette-swatch').forEach(swatch => {
+        swatch.setAttribute('aria-label', getPaletteLabel(swatch.dataset.palette));
+    });
+}
 
-        // 1. Graphic Parallax (Subtle movement opposite to mouse)
-        if (heroGraphic) {
-            gsap.to(heroGraphic, {
-                x: -xPos * 30, // Move 30px
-                y: -yPos * 30,
-                duration: 1,
-                ease: "power2.out"
-            });
-        }
+/**
+ * Build one swatch per palette in the mobile overlay
+ */
+function initPaletteSwatches() {
+    const container = document.getElementById('palette-swatches');
+    if (!container) return;
 
-        // 2. Text Spotlight Effect (Optional: if we added the gradient)
-        // For now, let's add a subtle tilt to the text
-        if (heroText) {
-            gsap.to(heroText, {
-                rotationY: xPos * 5, // Slight 3D tilt
-                rotationX: -yPos * 5,
-                duration: 1,
-                ease: "power2.out"
-            });
-        }
+    ACCENT_PALETTES.forEach(palette => {
+        const swatch = document.createElement('button');
+        swatch.type = 'button';
+        swatch.className = 'palette-swatch';
+        swatch.dataset.palette = palette.id;
+        swatch.addEventListener('click', () => setAccentPalette(palette.id));
+        container.appendChild(swatch);
     });
 }
 
+// Follow system changes while the visitor hasn't chosen
+darkSchemeQuery.addEventListener('change', () => {
+    if (!getThemePreference()) applyTheme();
+});
+
+initPaletteSwatches();
+applyTheme();
+
 /* ============================================================================
-   INTERACTIVE ELEMENT HOVER EFFECTS
+   LOCALIZATION (ENGLISH / BANGLA)
    ============================================================================
-   Applies unified hover behavior to all interactive elements
-   - Cursor state changes
-   - Scale animations
-   - Magnetic movement on hover
+   Translates the page at runtime without a reload
+   - String catalogs live in locales/<id>.json and are fetched on demand
+   - index.html carries the English copy, so English needs no fetch on load
+   - data-i18n sets text, data-i18n-html sets trusted catalog markup,
+     data-i18n-attr="attr:key,attr:key" sets attributes
+   - data-i18n-date and data-i18n-range ("2022-09/" = to present) are
+     formatted with Intl for the active locale
+   - The choice is stored in localStorage and shown in the URL as ?lang=bn
    ============================================================================ */
 
+// Supported locales, the first is the default (and the copy in index.html)
+const LOCALES = [
+    { id: 'en', label: 'EN', name: 'English', intl: 'en-GB' },
+    { id: 'bn', label: 'বাং', name: 'বাংলা', intl: 'bn-BD' }
+];
+
+const LOCALE_STORAGE_KEY = 'locale';
+const LOCALE_QUERY_PARAM = 'lang';
+
+// Fetched catalogs by locale id (promises, so each file loads once)
+const localeCatalogs = {};
+
+let currentLocale = LOCALES[0].id;
+
+// Callbacks run with the new locale id after the page is re-rendered
+const localeListeners = [];
+
 /**
- * Initialize hover interactions for all interactive elements
- * Handles mouseenter, mouseleave, and mousemove events
+ * Find a supported locale
+ * @param {string} id - Locale id such as "bn"
+ * @returns {Object|undefined} Entry from LOCALES
  */
-function initRefinedInteractions() {
-    // Select all elements that should respond to hover
-    const interactives = document.querySelectorAll(".hover-target, .nav-item, .btn, .project-card, .photo-item, .char");
+function getLocaleConfig(id) {
+    return LOCALES.find(locale => locale.id === id);
+}
 
-    // Apply interaction handlers to each element
-    interactives.forEach(el => {
-        // MOUSEENTER: Activate hover state
-        el.addEventListener("mouseenter", () => {
-            // Add hover class to body for cursor styling
-            document.body.classList.add("cursor-hover");
+/**
+ * Pick the starting locale: URL, then stored choice, then the browser language
+ * @returns {string} Locale id
+ */
+function resolveInitialLocale() {
+    const fromUrl = new URLSearchParams(window.location.search).get(LOCALE_QUERY_PARAM);
+    if (getLocaleConfig(fromUrl)) return fromUrl;
 
-            // Scale up the element with elastic bounce effect
-            gsap.to(el, {
-                scale: 1.1,
-                duration: 0.4,
-                ease: "back.out(2)",
-                zIndex: 50,
-                overwrite: true
-            });
-        });
+    try {
+        const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+        if (getLocaleConfig(stored)) return stored;
+    } catch (e) {
+        // Storage unavailable - fall through to the browser language
+    }
 
-        // MOUSELEAVE: Reset hover state
-        el.addEventListener("mouseleave", () => {
-            // Remove hover class from body
-            document.body.classList.remove("cursor-hover");
+    const browser = (navigator.language || '').split('-')[0];
+    return getLocaleConfig(browser) ? browser : LOCALES[0].id;
+}
 
-            // Reset element to original position and scale
-            gsap.to(el, {
-                scale: 1,
-                x: 0,
-                y: 0,
-                duration: 0.6,
-                ease: "power4.out",
-                zIndex: 1,
-                overwrite: true
-            });
+/**
+ * Fetch a locale's string catalog
+ * @param {string} id - Locale id
+ * @returns {Promise<Object>} The catalog (rejects if it can't be loaded)
+ */
+function loadLocaleCatalog(id) {
+    if (!localeCatalogs[id]) {
+        localeCatalogs[id] = fetch(`locales/${id}.json`).then(response => {
+            if (!response.ok) throw new Error(`Catalog request failed (${response.status})`);
+            return response.json();
         });
 
-        // MOUSEMOVE: Apply magnetic movement effect
-        el.addEventListener("mousemove", (e) => {
-            // Get element's position and dimensions
-            const rect = el.getBoundingClientRect();
+        // Let a failed catalog be retried next time
+        localeCatalogs[id].catch(() => { delete localeCatalogs[id]; });
+    }
+    return localeCatalogs[id];
+}
 
-            // Determine if element should have strong magnetic effect
-            const isHeaderOrFooter = el.closest('nav') || el.closest('footer');
-            const isHeroText = el.closest('.hero') && !el.closest('#heroImage');
+// Catalog of the active locale once loaded (null while only index.html's English is available)
+let activeCatalog = null;
 
-            // Only header, footer, and hero text have strong magnetic effect
-            const isIntense = isHeaderOrFooter || isHeroText;
-            const intensity = isIntense ? 0.4 : 0.001;
+/**
+ * Translate a key for the active locale
+ * Catalog values may be { one, other } plural forms, picked by vars.count
+ * @param {string} key - Dotted key such as "contact.errors.nameRequired"
+ * @param {string|Object} fallback - English text used when the catalog has no entry
+ * @param {Object} vars - Values for {placeholders}; numbers are formatted for the locale
+ * @returns {string} Translated text
+ */
+function t(key, fallback, vars = {}) {
+    const found = activeCatalog && key.split('.').reduce((node, part) => node && node[part], activeCatalog);
+    let value = found !== undefined && found !== null ? found : fallback;
 
-            // Calculate relative distance from element center to cursor
-            const x = (e.clientX - rect.left - rect.width / 2) * intensity;
-            const y = (e.clientY - rect.top - rect.height / 2) * intensity;
+    if (value && typeof value === 'object') {
+        const form = new Intl.PluralRules(getLocaleConfig(currentLocale).intl).select(vars.count);
+        value = value[form] || value.other;
+    }
 
-            // Apply magnetic animation
-            gsap.to(el, {
-                x: x,
-                y: y,
-                duration: 0.4,
-                ease: "power2.out",
-                overwrite: "auto"
-            });
-        });
+    return String(value).replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in vars)) return match;
+        return typeof vars[name] === 'number' ? formatNumber(vars[name]) : vars[name];
     });
 }
 
 /**
- * Re-initialize interactions when view changes
- * Ensures new elements in view are interactive
+ * Format a number with the active locale's digits
+ * @param {number} value - Number to format
+ * @returns {string} Formatted number
  */
-const originalShowView = showView;
-showView = (viewId) => {
-    originalShowView(viewId);
-    // Delay to allow DOM to fully render
-    setTimeout(initRefinedInteractions, 100);
-};
+function formatNumber(value) {
+    return new Intl.NumberFormat(getLocaleConfig(currentLocale).intl).format(value);
+}
 
-// Initialize interactions on page load
-initRefinedInteractions();
+/**
+ * Format an ISO date (or year-month) for the active locale
+ * @param {string} value - "2002-07-13" or "2022-09"
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date
+ */
+function formatDate(value, options) {
+    const [year, month = 1, day = 1] = value.split('-').map(Number);
+    return new Intl.DateTimeFormat(getLocaleConfig(currentLocale).intl, options)
+        .format(new Date(year, month - 1, day));
+}
 
-/* ============================================================================
-   HERO SECTION ANIMATIONS
-   ============================================================================
-   Animates hero content on page load and creates interactive effects
-   - Character stagger entrance
-   - Parallax movement on mouse move
-   - 3D scroll reveal effect
-   ============================================================================ */
+/**
+ * Format a "start/end" month range, an empty end meaning "Present"
+ * @param {string} range - Such as "2022-09/" or "2024-07/2028-06"
+ * @returns {string} Formatted range
+ */
+function formatMonthRange(range) {
+    const [start, end] = range.split('/');
+    const options = { month: 'short', year: 'numeric' };
+    return `${formatDate(start, options)} - ${end ? formatDate(end, options) : t('about.present', 'Present')}`;
+}
 
 /**
- * Hero section Scroll Parallax
- * Parallax effects for the new Minimal Hero
- * Elements move at different speeds and fade out
+ * Register a callback for locale changes
+ * @param {Function} callback - Called with the new locale id
  */
-const heroTimeline = gsap.timeline({
-    scrollTrigger: {
-        trigger: "#hero-aesthetic",
-        start: "top top",
-        end: "bottom top", // Animate over the height of the hero
-        scrub: true
-    }
-});
+function onLocaleChange(callback) {
+    localeListeners.push(callback);
+}
 
-// Apply transformations during scroll
-heroTimeline
-    .to(".aesthetic-headline", { y: -200, opacity: 0, scale: 0.9, ease: "none" }, 0)
-    .to(".hero-bg-graphic", { rotation: 120, scale: 1.5, opacity: 0, ease: "none" }, 0)
-    .to(".hero-bottom-bar", { y: -100, opacity: 0, ease: "none" }, 0)
-    .to(".hero-top-bar", { y: -100, opacity: 0, ease: "none" }, 0);
+/**
+ * Re-render every translatable element for the active locale
+ * Elements whose key is missing from the catalog keep their current copy
+ */
+function applyTranslations() {
+    const lookup = key => {
+        const value = activeCatalog && key.split('.').reduce((node, part) => node && node[part], activeCatalog);
+        return typeof value === 'string' ? value : null;
+    };
 
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        const value = lookup(el.dataset.i18n);
+        if (value !== null) el.textContent = value;
+    });
+
+    document.querySelectorAll('[data-i18n-html]').forEach(el => {
+        const value = lookup(el.dataset.i18nHtml);
+        if (value !== null) el.innerHTML = value;
+    });
+
+    document.querySelectorAll('[data-i18n-attr]').forEach(el => {
+        el.dataset.i18nAttr.split(',').forEach(pair => {
+            const [attr, key] = pair.split(':').map(part => part.trim());
+            const value = lookup(key);
+            if (value !== null) el.setAttribute(attr, value);
+        });
+    });
+
+    document.querySelectorAll('[data-i18n-date]').forEach(el => {
+        el.textContent = formatDate(el.dataset.i18nDate, { day: 'numeric', month: 'long', year: 'numeric' });
+    });
+
+    document.querySelectorAll('[data-i18n-range]').forEach(el => {
+        el.textContent = formatMonthRange(el.dataset.i18nRange);
+    });
+
+    // Language toggles offer the next locale
+    const next = LOCALES[(LOCALES.findIndex(locale => locale.id === currentLocale) + 1) % LOCALES.length];
+    document.querySelectorAll('.lang-toggle').forEach(toggle => {
+        toggle.textContent = next.label;
+        toggle.setAttribute('lang', next.id);
+        toggle.setAttribute('aria-label', t('language.switchTo', 'Switch language to {name}', { name: next.name }));
+    });
+}
+
+/**
+ * Reflect the locale in the URL (?lang=bn), keeping the hash route
+ * The default locale is left out so plain URLs stay plain
+ */
+function syncLocaleUrl() {
+    const url = new URL(window.location.href);
+    if (currentLocale === LOCALES[0].id) {
+        url.searchParams.delete(LOCALE_QUERY_PARAM);
+    } else {
+        url.searchParams.set(LOCALE_QUERY_PARAM, currentLocale);
+    }
+    if (url.href !== window.location.href) window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * Switch the page to a locale
+ * @param {string} id - Locale id
+ * @param {Object} options - { persist: false } to skip storing the choice
+ * @returns {Promise<void>} Resolves once the page is re-rendered (never rejects)
+ */
+function setLocale(id, { persist = true } = {}) {
+    const locale = getLocaleConfig(id);
+    if (!locale) return Promise.resolve();
+
+    // The default locale's copy is already in index.html until another locale has been shown
+    const needsCatalog = id !== LOCALES[0].id || activeCatalog;
+    const catalog = needsCatalog ? loadLocaleCatalog(id) : Promise.resolve(null);
+
+    return catalog
+        .then(strings => {
+            activeCatalog = strings;
+            currentLocale = id;
+            document.documentElement.lang = id;
+
+            if (persist) {
+                try {
+                    localStorage.setItem(LOCALE_STORAGE_KEY, id);
+                } catch (e) {
+                    // Storage unavailable - the URL still carries the choice
+                }
+            }
+
+            syncLocaleUrl();
+            applyTranslations();
+            localeListeners.forEach(callback => callback(id));
+        })
+        .catch(error => {
+            console.error(`Failed to load the ${locale.name} strings:`, error);
+        });
+}
+
+/**
+ * Switch to the next locale (navbar and overlay toggles)
+ * @returns {Promise<void>} Resolves once the page is re-rendered
+ */
+function cycleLocale() {
+    const index = LOCALES.findIndex(locale => locale.id === currentLocale);
+    return setLocale(LOCALES[(index + 1) % LOCALES.length].id);
+}
+
+/**
+ * Show the starting locale without storing it as a choice
+ * @returns {Promise<void>} Resolves once the page is rendered in that locale
+ */
+function initLocalization() {
+    return setLocale(resolveInitialLocale(), { persist: false });
+}
+
+// Toggle titles and palette names follow both the setting and the language
+onMotionChange(labelMotionToggle);
+onLocaleChange(labelMotionToggle);
+labelMotionToggle();
+
+onThemeChange(labelThemeControls);
+onLocaleChange(labelThemeControls);
+labelThemeControls();
 
 /* ============================================================================
-   COMPONENT ANIMATIONS
+   ANALYTICS (CONSENT-BASED)
    ============================================================================
-   Scroll-triggered animations for main content sections
-   - Work section zoom and shadow effects
-   - Grid item entrance animations
-   - Navbar hide on scroll
+   Records a handful of first-party events, only after the visitor agrees
+   - view, project_open, slider_move, photo_open, vlog_play, cv_download,
+     cv_print, command (palette or keyboard shortcut), contact_sent,
+     contact_handedoff, contact_queued, contact_failed
+   - Nothing is recorded before consent; the choice is remembered
+   - Browsers sending Global Privacy Control or Do Not Track are never asked,
+     and nobody is asked while the sink is none
+   - Events are batched and handed to a pluggable sink:
+     console (development), endpoint (JSON POST, sendBeacon on unload), none
+   - No cookies, identifiers or form contents are collected
    ============================================================================ */
 
 /**
- * Animate work section container on scroll
- * Applies zoom-in and shadow effects as user scrolls to work section
+ * Analytics configuration
+ * A page can override it by defining window.ANALYTICS_CONFIG before script.js
+ * (scripts/mock-server.js switches the endpoint sink on)
  */
-// Work section animations removed for sticky stack effect
+const ANALYTICS_CONFIG = Object.assign({
+    // Log while developing locally; elsewhere send nothing until a collector is configured
+    sink: /^(localhost|127\.0\.0\.1|)$/.test(window.location.hostname) ? 'console' : 'none',
+    endpoint: {
+        url: '/api/analytics'
+    },
+    batchSize: 10,
+    flushInterval: 15000,
+    consentKey: 'analytics-consent'
+}, window.ANALYTICS_CONFIG);
 
 /**
- * Hide/show navbar on scroll direction
- * Navbar hides when scrolling down, shows when scrolling up
+ * Sinks - each send(events, { unloading }) delivers one batch
+ * Delivery is best effort: a lost batch is never retried or reported
  */
-let lastScrollY = window.scrollY;
-const navbar = document.getElementById('navbar');
+const analyticsSinks = {
+    console: {
+        send(events) {
+            console.info('[analytics]', events);
+        }
+    },
 
-// Initial navbar entrance removed - handled by animateHeroEntrance()
+    endpoint: {
+        send(events, { unloading = false } = {}) {
+            const { url } = ANALYTICS_CONFIG.endpoint;
+            const body = JSON.stringify({ events });
+
+            // sendBeacon outlives the page; fetch may be cancelled while unloading
+            if (unloading && navigator.sendBeacon) {
+                navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }));
+                return;
+            }
+
+            fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => { });
+        }
+    },
+
+    none: {
+        send() { }
+    }
+};
+
+// Events waiting for the next flush
+const analyticsQueue = [];
+
+// The visitor's choice once read from storage (undefined until then); storage only persists it
+let analyticsConsent;
+let analyticsFlushTimer = null;
 
 /**
- * Listen for scroll events to toggle navbar visibility
+ * Whether a sink that delivers events is configured
+ * @returns {boolean} False for the none sink (or an unknown one), when there is nothing to consent to
  */
-window.addEventListener('scroll', () => {
-    // Scrolling down: hide navbar
-    if (window.scrollY > lastScrollY) {
-        navbar.style.transform = 'translateY(-100%)';
+function isAnalyticsEnabled() {
+    return (analyticsSinks[ANALYTICS_CONFIG.sink] || analyticsSinks.none) !== analyticsSinks.none;
+}
+
+/**
+ * Whether the browser asks sites not to track (Global Privacy Control / Do Not Track)
+ * @returns {boolean} True if the visitor opted out for every site
+ */
+function prefersNoTracking() {
+    return navigator.globalPrivacyControl === true || navigator.doNotTrack === '1';
+}
+
+/**
+ * Get the visitor's analytics choice
+ * @returns {string|null} 'granted', 'denied', or null when not asked yet
+ */
+function getAnalyticsConsent() {
+    if (prefersNoTracking()) return 'denied';
+    if (analyticsConsent === undefined) {
+        try {
+            const choice = localStorage.getItem(ANALYTICS_CONFIG.consentKey);
+            analyticsConsent = choice === 'granted' || choice === 'denied' ? choice : null;
+        } catch (e) {
+            analyticsConsent = null;
+        }
     }
-    // Scrolling up: show navbar
-    else {
-        navbar.style.transform = 'translateY(0)';
+    return analyticsConsent;
+}
+
+/**
+ * Record an event (dropped unless the visitor accepted analytics)
+ * @param {string} name - Event name, e.g. "view" or "photo_open"
+ * @param {Object} data - Small, non-personal details
+ */
+function trackEvent(name, data = {}) {
+    if (getAnalyticsConsent() !== 'granted') return;
+
+    // The path drops its query, which can hold the visitor's gallery search
+    analyticsQueue.push({ name, data, path: getHashPath().split('?')[0], locale: currentLocale, time: new Date().toISOString() });
+
+    if (analyticsQueue.length >= ANALYTICS_CONFIG.batchSize) {
+        flushAnalytics();
+    } else if (!analyticsFlushTimer) {
+        analyticsFlushTimer = setTimeout(flushAnalytics, ANALYTICS_CONFIG.flushInterval);
     }
-    lastScrollY = window.scrollY;
-});
+}
+
+/**
+ * Hand every queued event to the configured sink
+ * @param {boolean} unloading - The page is being hidden or closed
+ */
+function flushAnalytics(unloading = false) {
+    clearTimeout(analyticsFlushTimer);
+    analyticsFlushTimer = null;
+    if (!analyticsQueue.length) return;
+
+    const sink = analyticsSinks[ANALYTICS_CONFIG.sink] || analyticsSinks.none;
+    sink.send(analyticsQueue.splice(0), { unloading });
+}
+
+/**
+ * Store the visitor's choice and close the banner
+ * @param {string} choice - 'granted' or 'denied'
+ */
+function setAnalyticsConsent(choice) {
+    analyticsConsent = choice;
+    try {
+        localStorage.setItem(ANALYTICS_CONFIG.consentKey, choice);
+    } catch (e) { /* Storage unavailable: the choice lasts for this visit only */ }
+
+    // Withdrawn consent also discards whatever was still waiting
+    if (choice !== 'granted') {
+        analyticsQueue.length = 0;
+        clearTimeout(analyticsFlushTimer);
+        analyticsFlushTimer = null;
+    }
+
+    hideConsentBanner();
+    if (choice === 'granted' && activeViewId) trackEvent('view', { view: activeViewId });
+}
+
+/**
+ * Show the consent banner (also reopened from the footer's privacy button)
+ */
+function showConsentBanner() {
+    const banner = document.getElementById('consent-banner');
+    if (!banner || prefersNoTracking() || !isAnalyticsEnabled()) return;
+
+    banner.hidden = false;
+    gsap.fromTo(banner, { opacity: 0, y: 20 }, { opacity: 1, y: 0, duration: motionDuration(0.4), ease: "power2.out" });
+}
+
+/**
+ * Hide the consent banner
+ */
+function hideConsentBanner() {
+    const banner = document.getElementById('consent-banner');
+    if (banner) banner.hidden = true;
+}
+
+// Ask once; later visits remember the answer
+if (getAnalyticsConsent() === null) showConsentBanner();
+
+// Nothing is collected, so there are no privacy settings to reopen
+if (!isAnalyticsEnabled()) {
+    document.querySelectorAll('.footer-privacy').forEach(button => { button.hidden = true; });
+}
 
+// Deliver the last batch when the visitor leaves or switches tabs
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushAnalytics(true);
+});
+window.addEventListener('pagehide', () => flushAnalytics(true));
 
 /* ============================================================================
-   ABOUT SECTION - BADGE ANIMATION
+   VIEW MANAGEMENT SYSTEM
    ============================================================================
-   Creates 3D entrance animation and floating effect for ID badge
+   Manages navigation between different page views (home, photos, about, contact)
+   Handles view activation, deactivation, and smooth transitions
+   - Each view declares its lifecycle hooks in the view registry
+   - Views can keep their markup in a <template> until first visited
    ============================================================================ */
 
+// Views without their own nav link highlight their parent's link
+const VIEW_NAV_PARENTS = { project: 'projects' };
+
 /**
- * Animate badge entrance and floating effect when about section is shown
- * Includes 3D rotation reveal and continuous floating motion
+ * View registry: per-view lifecycle hooks, each called with the view's section
+ * - template: id of a <template> holding the view's markup, mounted on first use
+ * - onMount: runs once, the first time the view is shown
+ * - onEnter: runs every time the view is shown (or replayed from its nav link)
+ * - onLeave: runs when another view replaces it; stops its tweens, timers and listeners
+ * - onResize: runs once per frame on window resize while the view is active
+ * - morph: returns the view's shared element for morph transitions (see VIEW TRANSITIONS)
  */
-function animateBadge() {
-    // Get badge element - use the new .about-badge-container wrapper
-    const badgeContainer = document.querySelector(".about-badge-container");
-    const badge = document.querySelector(".id-badge");
-    if (!badgeContainer || !badge) return;
+const viewRegistry = {
+    projects: {
+        // Wait for the view's layout so slide widths can be measured
+        onEnter: () => setTimeout(() => {
+            if (activeViewId === 'projects') initProjectsSlider();
+        }, 100),
+        onLeave: () => teardownProjectsSlider(),
+        onResize: () => updateProjectsSlider(true),
+        // The card of the project being opened (the URL already names it)
+        morph: () => {
+            const href = '#' + getHashPath();
+            const arrow = Array.from(document.querySelectorAll('.project-card-arrow')).find(link => link.getAttribute('href') === href);
+            return arrow && arrow.closest('.project-slide-item');
+        }
+    },
+    project: {
+        onLeave: () => { projectDetailPushedEntry = false; },
+        morph: () => document.querySelector('.project-detail-hero')
+    },
+    photos: {
+        template: 'view-photos-template',
+        onMount: initPhotoGallery,
+        // Overlays belong to the view they were opened from
+        onLeave: closeLightbox
+    },
+    vlog: {
+        template: 'view-vlog-template',
+        onMount: initVlog,
+        onLeave: closeVlogVideo
+    },
+    about: {
+        onEnter: animateBadge,
+        onLeave: stopBadgeAnimation
+    },
+    cv: {
+        template: 'view-cv-template',
+        onMount: initCvViewer,
+        // Fit-to-width depends on the viewer's size
+        onResize: () => renderCvPage()
+    }
+};
 
-    // Reset animations to ensure they run fresh each time
-    gsap.killTweensOf([badgeContainer, badge]);
+// View currently shown, null before the first render
+let activeViewId = null;
 
-    // Initial state: hidden, scaled down, rotated in 3D
-    gsap.set(badgeContainer, {
-        opacity: 0,
-        y: 50,
-        scale: 0.8,
-        rotationX: -20,
-        rotationY: 15,
-        transformPerspective: 1000
-    });
+/**
+ * Call one lifecycle hook of a view, if it declares it
+ * @param {string} viewId - View id
+ * @param {string} hook - Hook name (onMount, onEnter, onLeave, onResize)
+ */
+function runViewHook(viewId, hook) {
+    const view = viewRegistry[viewId];
+    if (view && view[hook]) view[hook](document.getElementById('view-' + viewId));
+}
 
-    // Animate entrance with 3D reveal - enhanced effect
-    gsap.to(badgeContainer, {
-        opacity: 1,
-        y: 0,
-        scale: 1,
-        rotationX: 0,
-        rotationY: 0,
-        duration: 1.2,
-        ease: "back.out",
-        onComplete: () => {
-            // Start floating animation after entrance completes
-            gsap.to(badgeContainer, {
-                y: "-=12",
-                duration: 3.5,
-                repeat: -1,
-                yoyo: true,
-                ease: "sine.inOut"
-            });
-        }
-    });
+/**
+ * Put a view's markup in the page if it still lives in its <template>
+ * Prerendered pages may already have it inlined, which counts as mounted
+ * @param {string} viewId - View id
+ * @returns {Element|null} The view's section
+ */
+function mountView(viewId) {
+    const section = document.getElementById('view-' + viewId);
+    const view = viewRegistry[viewId];
+    const template = view && view.template && document.getElementById(view.template);
 
-    /**
-     * Animate badge details items with staggered entrance
-     */
-    const detailItems = document.querySelectorAll(".badge-details div");
-    if (detailItems.length > 0) {
-        gsap.from(detailItems, {
-            opacity: 0,
-            y: 10,
-            stagger: 0.1,
-            duration: 0.6,
-            ease: "back.out",
-            delay: 0.8
-        });
+    if (section && template) {
+        // Sized while still inert, so the originals never start downloading
+        enhanceImages(template.content);
+        template.replaceWith(template.content);
+        if (activeCatalog) applyTranslations();
     }
 
-    /**
-     * Animate badge speech bubble with pop effect
-     */
-    const bubble = document.querySelector("#badgeBubble");
-    if (bubble) {
-        // Initial bubble state
-        gsap.set(bubble, {
-            opacity: 0,
-            scale: 0,
-            rotation: 12,
-            x: 20
-        });
+    return section;
+}
 
-        // Pop in animation
-        gsap.to(bubble, {
-            opacity: 1,
-            scale: 1,
-            x: 0,
-            rotation: 12,
-            duration: 0.6,
-            ease: "back.out",
-            delay: 0.5
-        });
+/**
+ * Switches between different views on the page
+ * Only renders the view - URL and history are owned by the router below
+ * The switch itself runs inside a view transition (see VIEW TRANSITIONS)
+ * @param {string} viewId - The ID of the view to show (home, projects, project, photos, vlog, about, cv, contact, offline, not-found)
+ * @param {Function} onShown - Optional, called right after the view is switched in
+ */
+function showView(viewId, onShown) {
+    // Get target view and navigation link elements
+    const targetView = mountView(viewId);
+    const targetLink = document.getElementById('link-' + (VIEW_NAV_PARENTS[viewId] || viewId));
+    if (!targetView) return;
 
-        // Continuous pulse and float animation
-        gsap.to(bubble, {
-            scale: 1.08,
-            duration: 2.5,
-            repeat: -1,
-            yoyo: true,
-            ease: "sine.inOut",
-            delay: 1.1
-        });
+    const previousViewId = activeViewId;
 
-        gsap.to(bubble, {
-            y: "-=6",
-            x: "+=3",
-            duration: 3,
-            repeat: -1,
-            yoyo: true,
-            ease: "power1.inOut",
-            delay: 1.1
+    transitionView(previousViewId, viewId, () => {
+        // Hide all existing views and remove active state from navigation
+        document.querySelectorAll('.view-section').forEach(section => section.classList.remove('active'));
+        document.querySelectorAll('.nav-item').forEach(item => {
+            item.classList.remove('active');
+            item.removeAttribute('aria-current');
         });
+
+        // Let the previous view stop its loops and listeners
+        if (previousViewId && previousViewId !== viewId) runViewHook(previousViewId, 'onLeave');
+        activeViewId = viewId;
+        trackEvent('view', { view: viewId, from: previousViewId });
+
+        // Activate the new view and corresponding nav link
+        targetView.classList.add('active');
+        if (targetLink) {
+            targetLink.classList.add('active');
+            targetLink.setAttribute('aria-current', 'page');
+        }
+
+        // Start the new view at the top (the old one is already out of sight)
+        window.scrollTo(0, 0);
+
+        // First visit sets the view up, every visit runs its entrance
+        const view = viewRegistry[viewId];
+        if (view && !view.mounted) {
+            view.mounted = true;
+            runViewHook(viewId, 'onMount');
+        }
+        runViewHook(viewId, 'onEnter');
+        if (onShown) onShown();
+
+        if (previousViewId !== viewId) {
+            emitPortfolioEvent('viewchange', { view: viewId, from: previousViewId || null, path: currentRoute ? currentRoute.path : viewId });
+        }
+
+        // Refresh scroll triggers for animations
+        ScrollTrigger.refresh();
+    });
+}
+
+// Forward resizes to the active view, at most once per frame
+let viewResizeFrame = 0;
+
+window.addEventListener('resize', () => {
+    if (viewResizeFrame) return;
+    viewResizeFrame = requestAnimationFrame(() => {
+        viewResizeFrame = 0;
+        if (activeViewId) runViewHook(activeViewId, 'onResize');
+    });
+});
+
+/* ============================================================================
+   VIEW TRANSITIONS
+   ============================================================================
+   Animates the outgoing view out before the incoming view comes in
+   - Uses the View Transitions API where the browser has it, GSAP otherwise
+   - The preset is chosen per route pair in viewTransitionConfig
+   - Morph presets move a shared element between the views, e.g. a project
+     card expanding into the case-study hero (view registry "morph" hook)
+   - A new navigation finishes the running transition at once, so rapid
+     clicks never stack overlapping animations
+   - Reduced motion: the views swap immediately with a short fade
+   ============================================================================ */
+
+/**
+ * Transition presets
+ * - out / in: GSAP vars the outgoing view animates to and the incoming view animates from
+ * - morph: also move the shared element from one view to the other
+ * The View Transitions API path gets the same looks from style.css (html[data-view-transition])
+ */
+const VIEW_TRANSITION_PRESETS = {
+    fade: { out: { opacity: 0, y: -20 }, in: { opacity: 0, y: 30 } },
+    slide: { out: { opacity: 0, x: 80 }, in: { opacity: 0, x: -80 } },
+    morph: { out: { opacity: 0 }, in: { opacity: 0 }, morph: true }
+};
+
+/**
+ * Preset per route pair, keyed "from>to" with "*" matching any view
+ * Set useViewTransitionsAPI to false to always take the GSAP path
+ */
+const viewTransitionConfig = {
+    useViewTransitionsAPI: true,
+    default: 'fade',
+    pairs: {
+        'projects>project': 'morph',
+        'project>projects': 'slide'
     }
+};
 
-    /**
-     * Animate badge photo with zoom effect
+// view-transition-name / data-flip-id shared by the two ends of a morph
+const VIEW_MORPH_NAME = 'view-morph';
+
+// The running transition ({ finish }), null when idle
+let pendingViewTransition = null;
+
+/**
+ * Pick the transition preset for a route pair
+ * @param {string} fromId - Outgoing view
+ * @param {string} toId - Incoming view
+ * @returns {Object} Preset with its name
+ */
+function getViewTransitionPreset(fromId, toId) {
+    const { pairs } = viewTransitionConfig;
+    const name = pairs[`${fromId}>${toId}`] || pairs[`${fromId}>*`] || pairs[`*>${toId}`] || viewTransitionConfig.default;
+    return { name, ...(VIEW_TRANSITION_PRESETS[name] || VIEW_TRANSITION_PRESETS.fade) };
+}
+
+/**
+ * Find a view's shared element for morph transitions
+ * @param {string} viewId - View id
+ * @returns {Element|null} Element from the view registry's morph hook
+ */
+function getMorphElement(viewId) {
+    const view = viewRegistry[viewId];
+    return (view && view.morph && view.morph()) || null;
+}
+
+/**
+ * Jump the running transition to its end, switching the view in right away
+ */
+function finishViewTransition() {
+    const pending = pendingViewTransition;
+    pendingViewTransition = null;
+    if (pending) pending.finish();
+}
+
+/**
+ * Switch views through the preset for the route pair
+ * @param {string|null} fromId - View currently shown, null on the first render
+ * @param {string} toId - View to show
+ * @param {Function} swap - Switches the DOM over to the new view
+ */
+function transitionView(fromId, toId, swap) {
+    finishViewTransition();
+
+    const fromView = fromId && document.getElementById('view-' + fromId);
+    const toView = document.getElementById('view-' + toId);
+
+    // First paint, replays of the same view and reduced motion: swap at once and fade in
+    if (!fromView || fromId === toId || isReducedMotion()) {
+        swap();
+        if (isReducedMotion()) {
+            gsap.from(toView, { opacity: 0, duration: 0.3, ease: "power1.out" });
+        } else {
+            gsap.from(toView, { opacity: 0, y: 30, duration: 0.8, ease: "power2.out" });
+        }
+        return;
+    }
+
+    // The swap must run exactly once, whichever path gets there first
+    let swapped = false;
+    const runSwap = () => {
+        if (swapped) return;
+        swapped = true;
+        swap();
+    };
+
+    const preset = getViewTransitionPreset(fromId, toId);
+    if (viewTransitionConfig.useViewTransitionsAPI && typeof document.startViewTransition === 'function') {
+        runNativeViewTransition(fromId, toId, preset, runSwap);
+    } else {
+        runGsapViewTransition(fromId, toId, fromView, toView, preset, runSwap);
+    }
+}
+
+/**
+ * View Transitions API path: the browser snapshots both views and
+ * style.css animates the snapshots for the preset
+ * @param {string} fromId - Outgoing view
+ * @param {string} toId - Incoming view
+ * @param {Object} preset - Transition preset
+ * @param {Function} runSwap - Switches the DOM over (runs once)
+ */
+function runNativeViewTransition(fromId, toId, preset, runSwap) {
+    const root = document.documentElement;
+    const named = [];
+    const nameMorph = el => {
+        if (!el) return;
+        el.style.viewTransitionName = VIEW_MORPH_NAME;
+        named.push(el);
+    };
+
+    root.dataset.viewTransition = preset.name;
+    if (preset.morph) nameMorph(getMorphElement(fromId));
+
+    const transition = document.startViewTransition(() => {
+        // Only one element may carry the name in each snapshot
+        named.forEach(el => { el.style.viewTransitionName = ''; });
+        runSwap();
+        if (preset.morph) nameMorph(getMorphElement(toId));
+    });
+
+    const pending = {
+        finish() {
+            runSwap();
+            transition.skipTransition();
+        }
+    };
+    pendingViewTransition = pending;
+
+    const cleanUp = () => {
+        named.forEach(el => { el.style.viewTransitionName = ''; });
+        if (pendingViewTransition === pending) pendingViewTransition = null;
+
+        // A newer transition keeps its own preset name
+        if (!pendingViewTransition) delete root.dataset.viewTransition;
+    };
+
+    // A skipped transition rejects "ready"; that is expected, not an error
+    transition.ready.catch(() => { });
+    transition.finished.then(cleanUp, cleanUp);
+}
+
+/**
+ * GSAP path: animate the outgoing view out, swap, then animate the incoming
+ * view in; morphs fly the shared element over with Flip
+ * @param {string} fromId - Outgoing view
+ * @param {string} toId - Incoming view
+ * @param {Element} fromView - Outgoing section
+ * @param {Element} toView - Incoming section
+ * @param {Object} preset - Transition preset
+ * @param {Function} runSwap - Switches the DOM over (runs once)
+ */
+function runGsapViewTransition(fromId, toId, fromView, toView, preset, runSwap) {
+    // Measure the shared element before the old view starts to move
+    const source = preset.morph && getMorphElement(fromId);
+    if (source) source.dataset.flipId = VIEW_MORPH_NAME;
+    const morphState = source ? Flip.getState(source) : null;
+
+    const pending = {
+        finish() {
+            timeline.progress(1);
+        }
+    };
+
+    const timeline = gsap.timeline({
+        onComplete: () => {
+            if (pendingViewTransition === pending) pendingViewTransition = null;
+        }
+    });
+
+    timeline
+        .to(fromView, { ...preset.out, duration: 0.35, ease: "power2.in" })
+        .call(() => {
+            runSwap();
+            gsap.set(fromView, { clearProps: 'opacity,transform' });
+            if (source) delete source.dataset.flipId;
+
+            const target = morphState && getMorphElement(toId);
+            if (target) {
+                target.dataset.flipId = VIEW_MORPH_NAME;
+                Flip.from(morphState, {
+                    targets: target,
+                    duration: 0.6,
+                    ease: "power3.inOut",
+                    onComplete: () => { delete target.dataset.flipId; }
+                });
+            }
+        })
+        .from(toView, { ...preset.in, duration: 0.6, ease: "power2.out", immediateRender: false, clearProps: 'opacity,transform' });
+
+    pendingViewTransition = pending;
+}
+
+// A motion policy change mid-transition lands on the new view at once
+onMotionChange(finishViewTransition);
+
+/* ============================================================================
+   HASH ROUTER
+   ============================================================================
+   Maps the URL hash to a view and optional nested params
+   - #projects/ocean-vortex → case study for one project
+   - #photos/3 → photos view, third photo open in the lightbox
+   - #photos?mood=calm&q=sky → query string carries view state such as filters
+   - Pushes real history entries so Back/Forward move between views
+   - Unknown routes fall through to the not-found view
+   ============================================================================ */
+
+/**
+ * Route table, matched in order against the hash path
+ * - view: the view-section the route shows
+ * - resolve: optional check that the params point at real content
+ * - enter: optional handler run with (params, query, previousRoute) after the view is shown
+ */
+const routes = [
+    { path: 'home', view: 'home' },
+    { path: 'projects', view: 'projects' },
+    {
+        path: 'projects/:slug',
+        view: 'project',
+        resolve: ({ slug }) => findProjectIndex(slug) !== -1,
+        enter: ({ slug }, query, previous) => {
+            renderProjectDetail(findProjectIndex(slug));
+            // Prev/next re-render the view in place, so the new case study starts at its hero
+            if (previous && previous.view === 'project') window.scrollTo(0, 0);
+        }
+    },
+    {
+        path: 'photos',
+        view: 'photos',
+        enter: (params, query, previous) => {
+            applyGalleryFilterQuery(query, !!previous && previous.view === 'photos');
+            closeLightbox();
+        }
+    },
+    {
+        path: 'photos/:index',
+        view: 'photos',
+        resolve: ({ index }) => !!getPhotoItem(index),
+        enter: ({ index }, query, previous) => {
+            applyGalleryFilterQuery(query, !!previous && previous.view === 'photos');
+            openLightbox(index);
+        }
+    },
+    { path: 'vlog', view: 'vlog', resolve: () => isVlogEnabled() },
+    { path: 'about', view: 'about' },
+    { path: 'cv', view: 'cv' },
+    { path: 'contact', view: 'contact' },
+    // Served by the service worker for pages not saved for offline use
+    { path: 'offline', view: 'offline' }
+];
+
+// Route currently rendered ({ path, view })
+let currentRoute = null;
+
+/**
+ * Read the route path from the URL hash
+ * Prerendered pages (scripts/prerender.js) name their route in <html data-route>,
+ * used when the URL has no hash, e.g. /about/
+ * @returns {string} Path without the leading "#" or "#/", defaults to home
+ */
+function getHashPath() {
+    return window.location.hash.replace(/^#\/?/, '') || document.documentElement.dataset.route || 'home';
+}
+
+/**
+ * Find the route matching a path and extract its params and query
+ * @param {string} path - Hash path such as "projects/ocean-vortex" or "photos?mood=calm"
+ * @returns {{route: Object, params: Object, query: URLSearchParams}|null} Match, or null for unknown
+ *   routes and malformed escapes such as "projects/%E0%A4"
+ */
+function matchRoute(path) {
+    const [pathname, search = ''] = path.split('?');
+    const segments = pathname.split('/').filter(Boolean);
+    const query = new URLSearchParams(search);
+
+    for (const route of routes) {
+        const parts = route.path.split('/');
+        if (parts.length !== segments.length) continue;
+
+        const params = {};
+        const matched = parts.every((part, i) => {
+            if (part.startsWith(':')) {
+                try {
+                    params[part.slice(1)] = decodeURIComponent(segments[i]);
+                } catch (e) {
+                    return false;
+                }
+                return true;
+            }
+            return part === segments[i];
+        });
+
+        if (matched && (!route.resolve || route.resolve(params))) return { route, params, query };
+    }
+
+    return null;
+}
+
+/**
+ * Render the view for a path without touching history
+ * @param {string} path - Hash path to render
+ * @param {boolean} force - Re-run the view entrance even if the view is already shown
+ */
+function renderRoute(path, force = false) {
+    // Land the previous navigation first, so its route never enters after this one
+    finishViewTransition();
+
+    const match = matchRoute(path);
+    const viewId = match ? match.route.view : 'not-found';
+
+    // Nested routes inside the current view only update their params
+    const viewChanged = force || !currentRoute || currentRoute.view !== viewId;
+    const previousRoute = currentRoute;
+    currentRoute = { path, view: viewId };
+
+    // Runs once the view is on screen, i.e. after the transition swaps it in
+    const enterRoute = () => {
+        // Move focus and announce on navigation, but not on the first paint
+        if (viewChanged && previousRoute) focusView(viewId);
+
+        if (match && match.route.enter) match.route.enter(match.params, match.query, previousRoute);
+    };
+
+    if (viewChanged) {
+        showView(viewId, enterRoute);
+    } else {
+        enterRoute();
+    }
+}
+
+/**
+ * Navigate to a route, pushing a new history entry
+ * Used by nav links and inline handlers in place of showView
+ * @param {string} path - Hash path such as "about", "photos/3" or "photos?mood=calm"
+ * @param {Object} options - { replace: true } to replace the current entry instead
+ */
+function navigate(path, { replace = false } = {}) {
+    // Clicking the active link replays the view instead of stacking duplicate entries
+    if (currentRoute && currentRoute.path === path) {
+        if (!replace) renderRoute(path, true);
+        return;
+    }
+
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', `#${path}`);
+    renderRoute(path);
+}
+
+/**
+ * Sync the page with the URL after Back/Forward or a manually edited hash
+ * popstate and hashchange can both fire for one change, so repeats are ignored
+ */
+function handleHistoryChange() {
+    const path = getHashPath();
+    if (currentRoute && currentRoute.path === path) return;
+    renderRoute(path);
+}
+
+window.addEventListener('popstate', handleHistoryChange);
+window.addEventListener('hashchange', handleHistoryChange);
+
+/**
+ * Find a project by its manifest slug
+ * @param {string} slug - Project slug from the URL
+ * @returns {number} Slide index, or -1 if no project matches
+ */
+function findProjectIndex(slug) {
+    return projects.findIndex(project => project.slug === slug);
+}
+
+/**
+ * Move the projects slider to a card
+ * When the view is just being shown, initProjectsSlider picks the index up
+ * @param {number} index - Slide index
+ */
+function focusProject(index) {
+    currentProjectIndex = index;
+    updateProjectsSlider();
+}
+
+/**
+ * Get a gallery tile by its 1-based position in the URL
+ * Mounts the photos markup first, so deep links resolve before the view is shown
+ * @param {string} index - Photo number from the URL
+ * @returns {Element|null} The gallery item
+ */
+function getPhotoItem(index) {
+    const position = Number(index);
+    if (!Number.isInteger(position) || position < 1) return null;
+    mountView('photos');
+    return document.querySelectorAll('.photo-gallery-modern .gallery-item')[position - 1] || null;
+}
+
+/* ============================================================================
+   FOCUS MANAGEMENT & DIALOGS
+   ============================================================================
+   Keeps keyboard and screen reader users oriented
+   - After a view change, focus moves to the view's heading and the
+     change is announced in a polite live region
+   - Dialogs (mobile menu, modals, lightbox) trap focus, close on Escape,
+     make the rest of the page inert and return focus to their trigger
+   ============================================================================ */
+
+// Spoken names for each view: [translation key, English fallback]
+const VIEW_LABELS = {
+    home: ['nav.home', 'Home'],
+    projects: ['nav.projects', 'Projects'],
+    project: ['views.project', 'Project'],
+    photos: ['nav.photos', 'Photos'],
+    vlog: ['nav.vlog', 'Vlog'],
+    about: ['nav.about', 'About'],
+    cv: ['nav.cv', 'CV'],
+    contact: ['nav.contact', 'Contact'],
+    offline: ['views.offline', 'Offline'],
+    'not-found': ['views.notFound', 'Page not found']
+};
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]):not([tabindex="-1"]), ' +
+    'textarea:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Open dialogs, innermost last: { dialog, trigger, onEscape }
+const dialogStack = [];
+
+/**
+ * Name a view in the active language
+ * @param {string} viewId - View id
+ * @returns {string} Label such as "Projects"
+ */
+function getViewLabel(viewId) {
+    const label = VIEW_LABELS[viewId];
+    return label ? t(label[0], label[1]) : viewId;
+}
+
+/**
+ * Say something through the live region
+ * @param {string} message - Text for screen readers
+ */
+function announce(message) {
+    const announcer = document.getElementById('view-announcer');
+    if (!announcer) return;
+
+    // Clear first so repeating the same message is still announced
+    announcer.textContent = '';
+    setTimeout(() => { announcer.textContent = message; }, 50);
+}
+
+/**
+ * Focus the heading of a view and announce it
+ * @param {string} viewId - View that was just shown
+ */
+function focusView(viewId) {
+    const view = document.getElementById('view-' + viewId);
+    if (!view) return;
+
+    const heading = view.querySelector('h1, h2') || view;
+    if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+    heading.focus({ preventScroll: true });
+
+    announce(t('views.announce', '{name} view', { name: getViewLabel(viewId) }));
+}
+
+/**
+ * Get the elements inside a container that can take focus
+ * @param {Element} container - Dialog element
+ * @returns {HTMLElement[]} Visible focusable elements
+ */
+function getFocusable(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(el => el.getClientRects().length > 0);
+}
+
+/**
+ * Make everything but the innermost open dialog inert
+ */
+function syncInertBackground() {
+    const top = dialogStack[dialogStack.length - 1];
+
+    Array.from(document.body.children).forEach(child => {
+        if (child.tagName === 'SCRIPT') return;
+        child.inert = !!top && child !== top.dialog;
+    });
+}
+
+/**
+ * Keyboard handling for the innermost dialog: Tab trap and Escape
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleDialogKeys(e) {
+    const top = dialogStack[dialogStack.length - 1];
+    if (!top) return;
+
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        top.onEscape();
+        return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    const focusable = getFocusable(top.dialog);
+    if (!focusable.length) {
+        e.preventDefault();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const outside = !top.dialog.contains(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || outside)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || outside)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Start treating an element as a modal dialog
+ * @param {HTMLElement} dialog - Dialog element (direct child of body)
+ * @param {Object} options - { onEscape: close handler, initialFocus: element to focus }
+ */
+function activateDialog(dialog, { onEscape, initialFocus } = {}) {
+    if (dialogStack.some(entry => entry.dialog === dialog)) return;
+
+    dialogStack.push({ dialog, trigger: document.activeElement, onEscape: onEscape || (() => { }) });
+    if (dialogStack.length === 1) document.addEventListener('keydown', handleDialogKeys);
+    syncInertBackground();
+
+    const target = initialFocus || getFocusable(dialog)[0] || dialog;
+    if (target === dialog && !dialog.hasAttribute('tabindex')) dialog.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+}
+
+/**
+ * Stop treating an element as a dialog and give focus back to its trigger
+ * @param {HTMLElement} dialog - Dialog element
+ */
+function deactivateDialog(dialog) {
+    const index = dialogStack.findIndex(entry => entry.dialog === dialog);
+    if (index === -1) return;
+
+    const [entry] = dialogStack.splice(index, 1);
+    if (!dialogStack.length) document.removeEventListener('keydown', handleDialogKeys);
+    syncInertBackground();
+
+    if (entry.trigger && document.contains(entry.trigger) && typeof entry.trigger.focus === 'function') {
+        entry.trigger.focus({ preventScroll: true });
+    }
+}
+
+/* ============================================================================
+   RESPONSIVE IMAGES
+   ============================================================================
+   Serves each image at the size its layout slot needs
+   - Cloudinary and Unsplash URLs get a srcset/sizes built for the slot;
+     other hosts are used as they are
+   - A tiny blurred copy fills the slot while the full image loads
+   - A failed resize falls back to the original URL, and a failed original
+     to a neutral tile instead of an empty box
+   - Markup names the slot with data-slot; images that must not load before
+     script.js picks a size keep their URL in data-src
+   ============================================================================ */
+
+// Candidate widths for srcset, capped per slot
+const IMAGE_WIDTHS = [320, 480, 640, 800, 1000, 1280, 1600, 2000];
+
+// Width of the low-quality placeholder
+const PLACEHOLDER_WIDTH = 24;
+
+// Transparent pixel shown in place of a broken image
+const BLANK_IMAGE = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+/**
+ * Layout slots
+ * - sizes: rendered width, mirroring style.css
+ * - maxWidth: largest srcset candidate
+ * - aspect: width / height to crop to, for slots that crop with object-fit: cover
+ * - blurUp: show the blurred placeholder while loading
+ * Wide and tall gallery tiles share the masonry column width, so they differ
+ * only in height and need the same candidates
+ */
+const GALLERY_SLOT = { sizes: '(max-width: 600px) 100vw, (max-width: 1024px) 50vw, 460px', maxWidth: 1000, blurUp: true };
+
+const IMAGE_SLOTS = {
+    gallery: GALLERY_SLOT,
+    wide: GALLERY_SLOT,
+    tall: GALLERY_SLOT,
+    card: { sizes: '(max-width: 1024px) 85vw, clamp(300px, 30vw, 450px)', maxWidth: 1000, aspect: 2 / 3, blurUp: true },
+    badge: { sizes: '280px', maxWidth: 640, aspect: 1, blurUp: true },
+    hero: { sizes: '(max-width: 768px) 100vw, 80vw', maxWidth: 2000, aspect: 16 / 9, blurUp: true },
+    detail: { sizes: '(max-width: 768px) 100vw, 40vw', maxWidth: 1280, aspect: 4 / 3, blurUp: true },
+    preview: { sizes: '100vw', maxWidth: 2000 },
+    lightbox: { sizes: '90vw', maxWidth: 2000 },
+    vlog: { sizes: '(max-width: 600px) 100vw, (max-width: 1024px) 50vw, 400px', maxWidth: 800, aspect: 16 / 9 }
+};
+
+/**
+ * Image CDNs that resize on the fly
+ * resize(url, { width, height, placeholder }) returns the resized URL
+ */
+const IMAGE_CDNS = [
+    {
+        // Only untransformed uploads: res.cloudinary.com/<cloud>/image/upload/[v123/]<id>
+        match: url => url.hostname === 'res.cloudinary.com' && /\/image\/upload\/(v\d+\/)?[^/]+$/.test(url.pathname),
+        resize(url, { width, height, placeholder }) {
+            const transform = [
+                height ? `c_fill,g_auto,w_${width},h_${height}` : `c_limit,w_${width}`,
+                placeholder ? 'e_blur:1000,q_auto:low' : 'q_auto',
+                'f_auto'
+            ].join(',');
+            return url.href.replace('/image/upload/', `/image/upload/${transform}/`);
+        }
+    },
+    {
+        match: url => url.hostname === 'images.unsplash.com',
+        resize(url, { width, height, placeholder }) {
+            const resized = new URL(url.href);
+            resized.searchParams.set('auto', 'format');
+            resized.searchParams.set('fit', 'crop');
+            resized.searchParams.set('w', width);
+            if (height) resized.searchParams.set('h', height);
+            else resized.searchParams.delete('h');
+            resized.searchParams.set('q', placeholder ? 20 : 75);
+            if (placeholder) resized.searchParams.set('blur', 200);
+            return resized.href;
+        }
+    }
+];
+
+// Images whose load/error listeners are attached
+const responsiveImages = new WeakSet();
+
+/**
+ * Build the sources for an image in a layout slot
+ * @param {string} url - Original image URL
+ * @param {string} slotName - Key of IMAGE_SLOTS
+ * @returns {{src: string, srcset: string, sizes: string, placeholder: string}} Sources; only src for other hosts
+ */
+function getImageSources(url, slotName) {
+    const slot = IMAGE_SLOTS[slotName] || GALLERY_SLOT;
+    let parsed;
+    try {
+        parsed = new URL(url, document.baseURI);
+    } catch (e) {
+        return { src: url, srcset: '', sizes: '', placeholder: '' };
+    }
+
+    const cdn = IMAGE_CDNS.find(entry => entry.match(parsed));
+    if (!cdn) return { src: url, srcset: '', sizes: '', placeholder: '' };
+
+    const resize = (width, placeholder = false) => cdn.resize(parsed, {
+        width,
+        height: slot.aspect ? Math.round(width / slot.aspect) : 0,
+        placeholder
+    });
+    const widths = IMAGE_WIDTHS.filter(width => width <= slot.maxWidth);
+
+    return {
+        // Browsers without srcset support get a mid-sized copy
+        src: resize(widths[Math.min(3, widths.length - 1)]),
+        srcset: widths.map(width => `${resize(width)} ${width}w`).join(', '),
+        sizes: slot.sizes,
+        placeholder: slot.blurUp ? resize(PLACEHOLDER_WIDTH, true) : ''
+    };
+}
+
+/**
+ * Show the blurred placeholder until the full image arrives
+ * The placeholder also gives the image its aspect ratio, so the layout holds still
+ * @param {HTMLImageElement} img - Image that is loading
+ * @param {string} placeholder - Placeholder URL
+ */
+function showImagePlaceholder(img, placeholder) {
+    const tiny = new Image();
+    tiny.onload = () => {
+        if (!img.classList.contains('is-loading')) return;
+        img.style.backgroundImage = `url("${placeholder}")`;
+        img.style.aspectRatio = `${tiny.naturalWidth} / ${tiny.naturalHeight}`;
+        img.classList.add('is-blurred');
+    };
+    tiny.src = placeholder;
+}
+
+/**
+ * Sharpen the image once loaded
+ * @param {Event} e - Load event
+ */
+function handleImageLoad(e) {
+    const img = e.currentTarget;
+    if (!img.classList.contains('is-loading')) return;
+
+    const blurred = img.classList.contains('is-blurred');
+    img.classList.remove('is-loading', 'is-blurred');
+    img.style.backgroundImage = '';
+    img.style.aspectRatio = '';
+
+    if (blurred) {
+        gsap.fromTo(img, { filter: 'blur(16px)' }, { filter: 'blur(0px)', duration: motionDuration(0.5), ease: "power2.out", clearProps: 'filter' });
+    }
+}
+
+/**
+ * Retry a failed resize with the original URL, then give up with a fallback tile
+ * @param {Event} e - Error event
+ */
+function handleImageError(e) {
+    const img = e.currentTarget;
+    const original = img.dataset.original;
+    if (img.classList.contains('is-broken')) return;
+
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+
+    if (original && img.dataset.retried !== 'true' && img.getAttribute('src') !== original) {
+        img.dataset.retried = 'true';
+        img.src = original;
+        return;
+    }
+
+    img.classList.remove('is-loading', 'is-blurred');
+    img.classList.add('is-broken');
+    img.style.backgroundImage = '';
+    img.style.aspectRatio = '';
+    img.src = BLANK_IMAGE;
+}
+
+/**
+ * Point an image at a URL, sized for its layout slot
+ * Safe to call again on the same image with a new URL
+ * @param {HTMLImageElement} img - Image element
+ * @param {string} url - Original image URL
+ * @param {string} slotName - Key of IMAGE_SLOTS (defaults to the image's data-slot)
+ */
+function setResponsiveImage(img, url, slotName = img.dataset.slot) {
+    if (!img || !url) return;
+
+    if (!responsiveImages.has(img)) {
+        responsiveImages.add(img);
+        img.addEventListener('load', handleImageLoad);
+        img.addEventListener('error', handleImageError);
+    }
+
+    const sources = getImageSources(url, slotName);
+    img.dataset.original = url;
+    delete img.dataset.retried;
+    img.classList.remove('is-broken', 'is-blurred');
+    img.style.backgroundImage = '';
+    img.style.aspectRatio = '';
+    img.classList.add('is-loading');
+
+    // sizes and srcset go first, so the browser never starts on src alone
+    if (sources.srcset) {
+        img.sizes = sources.sizes;
+        img.srcset = sources.srcset;
+    } else {
+        img.removeAttribute('srcset');
+        img.removeAttribute('sizes');
+    }
+    img.src = sources.src;
+
+    if (sources.placeholder && !(img.complete && img.naturalWidth)) showImagePlaceholder(img, sources.placeholder);
+}
+
+/**
+ * Size every slotted image in a container that hasn't been handled yet
+ * @param {ParentNode} root - Document, element or template content
+ */
+function enhanceImages(root) {
+    root.querySelectorAll('img[data-slot]:not([data-original])').forEach(img => {
+        setResponsiveImage(img, img.dataset.src || img.getAttribute('src'));
+    });
+}
+
+/**
+ * Warm the cache with the copy an image in a slot would pick
+ * @param {string} url - Original image URL
+ * @param {string} slotName - Key of IMAGE_SLOTS
+ */
+function preloadImage(url, slotName) {
+    const sources = getImageSources(url, slotName);
+    const img = new Image();
+    if (sources.srcset) {
+        img.sizes = sources.sizes;
+        img.srcset = sources.srcset;
+    }
+    img.src = sources.src;
+}
+
+/**
+ * Run a callback once the browser is idle
+ * @param {Function} callback - Work to defer
+ */
+function whenIdle(callback) {
+    if ('requestIdleCallback' in window) window.requestIdleCallback(callback, { timeout: 3000 });
+    else setTimeout(callback, 200);
+}
+
+// Images already in the page (e.g. the badge, prerendered views)
+enhanceImages(document);
+
+/* ============================================================================
+   PRELOADER
+   ============================================================================
+   The percentage follows real loading work instead of a timer
+   - Tasks: above-the-fold images, the Twizzlefrap webfont,
+     the GSAP/EmailJS scripts and anything registered via trackPreload()
+   - Failed tasks count as done so a broken asset never blocks the page
+   - A timeout finishes the preloader regardless
+   - Repeat visits in the same session get a short fade instead
+   ============================================================================ */
+
+// Give up waiting after this long (ms)
+const PRELOADER_TIMEOUT = 6000;
+const PRELOADER_SESSION_KEY = 'preloader-seen';
+
+// Settled-state of every tracked task
+const preloadTasks = [];
+
+// Called whenever a task settles; set by initPreloader
+let onPreloadProgress = () => { };
+
+/**
+ * Register loading work with the preloader
+ * Errors are swallowed for the counter but the original promise is returned untouched
+ * @param {Promise} task - Work to wait for
+ * @returns {Promise} The same task, for chaining
+ */
+function trackPreload(task) {
+    const entry = { settled: false };
+    preloadTasks.push(entry);
+
+    Promise.resolve(task)
+        .catch(() => { })
+        .then(() => {
+            entry.settled = true;
+            onPreloadProgress();
+        });
+
+    onPreloadProgress();
+    return task;
+}
+
+/**
+ * Wait for an image to load or fail
+ * @param {HTMLImageElement} img - Image element
+ * @returns {Promise<void>} Resolves either way
+ */
+function whenImageSettles(img) {
+    if (img.complete) return Promise.resolve();
+    return new Promise(resolve => {
+        img.addEventListener('load', resolve, { once: true });
+        img.addEventListener('error', resolve, { once: true });
+    });
+}
+
+/**
+ * Images the visitor sees first: eager images in the view named by the URL hash
+ * @returns {HTMLImageElement[]} Images to wait for
+ */
+function getAboveTheFoldImages() {
+    const viewId = getHashPath().split(/[/?]/)[0];
+    const view = mountView(viewId) || document.getElementById('view-home');
+    return Array.from(view.querySelectorAll('img')).filter(img => img.loading !== 'lazy');
+}
+
+/**
+ * Register the page's own assets with the preloader
+ */
+function trackPageAssets() {
+    getAboveTheFoldImages().forEach(img => trackPreload(whenImageSettles(img)));
+
+    // Webfont used by the logo
+    if (document.fonts && document.fonts.load) {
+        trackPreload(document.fonts.load('1em "Twizzlefrap"').then(() => document.fonts.ready));
+    }
+
+    // Library scripts are parser-blocking, so they have already loaded or failed by now
+    [['GSAP', 'gsap'], ['ScrollTrigger', 'ScrollTrigger'], ['EmailJS', 'emailjs']].forEach(([name, globalName]) => {
+        trackPreload(typeof window[globalName] === 'undefined'
+            ? Promise.reject(new Error(`${name} failed to load`))
+            : Promise.resolve());
+    });
+}
+
+/**
+ * Initialize preloader animation - New Typographic Reveal
+ */
+function initPreloader() {
+    const percentEl = document.querySelector('.loader-progress');
+    const brandEl = document.querySelector('.loader-brand');
+    const preloader = document.getElementById('preloader');
+
+    if (!percentEl || !preloader) return;
+
+    document.body.classList.add('loading');
+
+    let repeatVisit = false;
+    try {
+        repeatVisit = sessionStorage.getItem(PRELOADER_SESSION_KEY) === '1';
+        sessionStorage.setItem(PRELOADER_SESSION_KEY, '1');
+    } catch (e) {
+        // Storage unavailable - treat as a first visit
+    }
+
+    let finished = false;
+    let domReady = document.readyState !== 'loading';
+    const counter = { value: 0 };
+
+    // Tasks registered during DOMContentLoaded (e.g. the projects manifest) still count
+    if (!domReady) {
+        document.addEventListener('DOMContentLoaded', () => setTimeout(() => {
+            domReady = true;
+            onPreloadProgress();
+        }, 0));
+    }
+
+    const render = () => {
+        const count = Math.round(counter.value);
+        percentEl.innerText = count + '%';
+
+        // Dynamic opacity for brand text based on progress
+        if (brandEl) {
+            brandEl.style.opacity = 0.3 + (count / 200); // 0.3 to 0.8
+        }
+    };
+
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        onPreloadProgress = () => { };
+        clearTimeout(fallbackTimer);
+        finishLoading(repeatVisit);
+    };
+
+    onPreloadProgress = () => {
+        if (finished) return;
+
+        const settled = preloadTasks.filter(task => task.settled).length;
+        const total = preloadTasks.length || 1;
+        const complete = settled === preloadTasks.length && domReady;
+
+        // Late tasks can lower the ratio - never count backwards
+        const target = complete ? 100 : Math.max(counter.value, Math.floor((settled / total) * 99));
+
+        // Repeat visits skip the count - assets are cached, only the DOM matters
+        if (repeatVisit) {
+            if (domReady) finish();
+            return;
+        }
+
+        gsap.to(counter, {
+            value: target,
+            duration: motionDuration(0.4),
+            ease: "power1.out",
+            overwrite: true,
+            onUpdate: render,
+            onComplete: () => { if (complete) finish(); }
+        });
+    };
+
+    // Never hold the page hostage to a slow asset
+    const fallbackTimer = setTimeout(() => {
+        counter.value = 100;
+        render();
+        finish();
+    }, PRELOADER_TIMEOUT);
+
+    if (repeatVisit) percentEl.innerText = '';
+    trackPageAssets();
+
+    function finishLoading(short) {
+        // Reduced motion or a repeat visit: a single fade instead of the scale/slide sequence
+        if (short || isReducedMotion()) {
+            gsap.set("nav", { y: 0, opacity: 1 });
+            gsap.to(preloader, {
+                opacity: 0,
+                duration: 0.3,
+                onComplete: () => {
+                    gsap.set(preloader, { display: 'none' });
+                    document.body.classList.remove('loading');
+                    animateHeroEntrance();
+                }
+            });
+            return;
+        }
+
+        const tl = gsap.timeline();
+
+        // 1. Scale up the number and fade out
+        tl.to(percentEl, {
+            scale: 1.5,
+            opacity: 0,
+            duration: 0.5, // Faster (was 0.8)
+            ease: "power2.inOut"
+        })
+            .to(brandEl, {
+                opacity: 0,
+                y: -50,
+                duration: 0.3, // Faster (was 0.5)
+                ease: "power2.in"
+            }, "<") // Start with previous
+
+            // 2. Slide the entire overlay up
+            .to(preloader, {
+                yPercent: -100,
+                duration: 0.8, // Faster (was 1.2)
+                ease: "expo.inOut",
+                onStart: () => {
+                    // Animate Navbar
+                    gsap.to("nav", { y: 0, opacity: 1, duration: 0.6, ease: "power2.out" });
+                }
+            })
+            .set(preloader, { display: 'none' })
+            .call(() => {
+                document.body.classList.remove('loading');
+                animateHeroEntrance();
+            });
+    }
+}
+
+/**
+ * Animate hero section elements on page entrance
+ */
+function animateHeroEntrance() {
+    // Navbar animation moved to finishLoading() for earlier trigger
+
+    // Reveal Hero Content
+    const heroWords = document.querySelectorAll('.hero-word');
+
+    // Reduced motion: fade everything in place
+    if (isReducedMotion()) {
+        gsap.set(heroWords, { y: 0 });
+        gsap.to(heroWords, { opacity: 1, duration: 0.4 });
+        gsap.from(".hero-subtitle, .hero-top-bar, .hero-bottom-bar, .hero-age-circle", { opacity: 0, duration: 0.4 });
+        return;
+    }
+
+    // Temporarily disable CSS transitions to avoid conflict with GSAP
+    gsap.set(heroWords, { transition: 'none' });
+
+    gsap.to(heroWords, {
+        y: 0,
+        opacity: 1,
+        duration: 1.2,
+        stagger: 0.1,
+        ease: "expo.out",
+        onComplete: () => {
+            // Restore transitions for hover effects
+            gsap.set(heroWords, { clearProps: "transition" });
+        }
+    });
+
+    gsap.from(".hero-subtitle", {
+        y: 20,
+        opacity: 0,
+        duration: 1,
+        delay: 0.5,
+        ease: "power2.out"
+    });
+
+    gsap.from(".hero-top-bar, .hero-bottom-bar, .hero-age-circle", {
+        opacity: 0,
+        duration: 1,
+        delay: 0.8,
+        stagger: 0.1,
+        ease: "power2.out"
+    });
+}
+
+// Initial call to start the preloader
+initPreloader();
+
+window.addEventListener('DOMContentLoaded', () => {
+    // Hide nav initially for entrance animation
+    gsap.set("nav", { y: -100, opacity: 0 });
+
+    // Render the route from the URL (e.g., #about, #projects/ocean-vortex), home by default
+    // Waits for the projects manifest so project slugs can be resolved
+    trackPreload(loadProjects()).then(() => renderRoute(getHashPath()));
+
+    // Render the stored/linked language and the profile before the preloader lifts
+    trackPreload(initLocalization());
+    trackPreload(loadProfile());
+});
+
+/* ============================================================================
+   HERO INTERACTION
+   ============================================================================ */
+
+/**
+ * Handle mouse movement for hero section effects
+ * - Text Gradient "Spotlight"
+ * - Graphic Parallax
+ */
+const heroSection = document.getElementById('hero-aesthetic');
+const heroText = document.querySelectorAll('.aesthetic-headline');
+const heroGraphic = document.querySelector('.hero-bg-graphic');
+
+if (heroSection) {
+    heroSection.addEventListener('mousemove', (e) => {
+        if (isReducedMotion()) return;
+
+        const { clientX, clientY } = e;
+        const { innerWidth, innerHeight } = window;
+
+        // Normalize mouse position (-1 to 1)
+        const xPos = (clientX / innerWidth - 0.5) * 2;
+        const yPos = (clientY / innerHeight - 0.5) * 2;
+
+        // 1. Graphic Parallax (Subtle movement opposite to mouse)
+        if (heroGraphic) {
+            gsap.to(heroGraphic, {
+                x: -xPos * 30, // Move 30px
+                y: -yPos * 30,
+                duration: 1,
+                ease: "power2.out"
+            });
+        }
+
+        // 2. Text Spotlight Effect (Optional: if we added the gradient)
+        // For now, let's add a subtle tilt to the text
+        if (heroText) {
+            gsap.to(heroText, {
+                rotationY: xPos * 5, // Slight 3D tilt
+                rotationX: -yPos * 5,
+                duration: 1,
+                ease: "power2.out"
+            });
+        }
+    });
+}
+
+// Settle the tilted/parallaxed hero when motion gets reduced
+onMotionChange(reduced => {
+    if (reduced) gsap.set([heroGraphic, ...heroText].filter(Boolean), { x: 0, y: 0, rotationX: 0, rotationY: 0 });
+});
+
+/* ============================================================================
+   INTERACTIVE ELEMENT HOVER EFFECTS
+   ============================================================================
+   Applies unified hover behavior to all interactive elements
+   - Cursor state changes
+   - Scale animations
+   - Magnetic movement on hover
+   - Bound once on the document, so elements rendered later just work
+   - Magnetic offsets are computed at most once per animation frame
+   ============================================================================ */
+
+// Elements that respond to hover
+const INTERACTIVE_SELECTOR = ".hover-target, .nav-item, .btn, .project-card, .photo-item, .char";
+
+/**
+ * Interaction manager state
+ * - listeners: aborts the delegated document listeners, null when torn down
+ * - enabled: false pauses every effect while keeping the listeners bound
+ * - hovered: interactive elements under the pointer, outermost first
+ * - pointer: last known pointer position
+ * - frame: pending requestAnimationFrame id for the magnetic pass
+ */
+const interactionState = {
+    listeners: null,
+    enabled: false,
+    hovered: [],
+    pointer: { x: 0, y: 0 },
+    frame: 0
+};
+
+/**
+ * List the interactive elements containing a node, outermost first
+ * @param {EventTarget|null} node - Event target
+ * @returns {Element[]} Matching ancestors, including the node itself
+ */
+function getInteractiveChain(node) {
+    const chain = [];
+    let el = node instanceof Element ? node.closest(INTERACTIVE_SELECTOR) : null;
+    while (el) {
+        chain.unshift(el);
+        el = el.parentElement && el.parentElement.closest(INTERACTIVE_SELECTOR);
+    }
+    return chain;
+}
+
+/**
+ * Activate the hover state of one element
+ * @param {Element} el - Interactive element the pointer entered
+ */
+function enterInteractive(el) {
+    // Add hover class to body for cursor styling
+    document.body.classList.add("cursor-hover");
+
+    // No scaling or magnetism when motion is reduced
+    if (isReducedMotion()) return;
+
+    // Scale up the element with elastic bounce effect
+    gsap.to(el, {
+        scale: 1.1,
+        duration: 0.4,
+        ease: "back.out(2)",
+        zIndex: 50,
+        overwrite: true
+    });
+}
+
+/**
+ * Reset one element to its original position and scale
+ * @param {Element} el - Interactive element the pointer left
+ */
+function leaveInteractive(el) {
+    gsap.to(el, {
+        scale: 1,
+        x: 0,
+        y: 0,
+        duration: motionDuration(0.6),
+        ease: "power4.out",
+        zIndex: 1,
+        overwrite: true
+    });
+}
+
+/**
+ * Move the hover state to a new set of elements, entering and leaving
+ * only the elements that changed (mouseenter/mouseleave semantics)
+ * @param {Element[]} chain - Interactive elements now under the pointer
+ */
+function setHoveredInteractives(chain) {
+    const previous = interactionState.hovered;
+    interactionState.hovered = chain;
+
+    previous.filter(el => !chain.includes(el)).forEach(leaveInteractive);
+    chain.filter(el => !previous.includes(el)).forEach(enterInteractive);
+
+    if (!chain.length) document.body.classList.remove("cursor-hover");
+}
+
+/**
+ * Apply the magnetic offset to every hovered element
+ * Runs inside requestAnimationFrame so rapid pointer moves cost one pass per frame
+ */
+function applyMagneticFrame() {
+    interactionState.frame = 0;
+    if (!interactionState.enabled || isReducedMotion()) return;
+
+    const { x: clientX, y: clientY } = interactionState.pointer;
+
+    interactionState.hovered.forEach(el => {
+        // Get element's position and dimensions
+        const rect = el.getBoundingClientRect();
+
+        // Only header, footer, and hero text have strong magnetic effect
+        const isHeaderOrFooter = el.closest('nav') || el.closest('footer');
+        const isHeroText = el.closest('.hero') && !el.closest('#heroImage');
+        const intensity = isHeaderOrFooter || isHeroText ? 0.4 : 0.001;
+
+        // Calculate relative distance from element center to cursor
+        gsap.to(el, {
+            x: (clientX - rect.left - rect.width / 2) * intensity,
+            y: (clientY - rect.top - rect.height / 2) * intensity,
+            duration: 0.4,
+            ease: "power2.out",
+            overwrite: "auto"
+        });
+    });
+}
+
+/**
+ * Delegated pointerover: the pointer entered a new element
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleInteractionOver(e) {
+    // Touch has no hover; a tap would leave elements stuck in their hover state
+    if (!interactionState.enabled || e.pointerType === 'touch') return;
+    setHoveredInteractives(getInteractiveChain(e.target));
+}
+
+/**
+ * Delegated pointerout: only matters when the pointer leaves the window
+ * (moves between elements are handled by the following pointerover)
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleInteractionOut(e) {
+    if (!interactionState.enabled || e.relatedTarget) return;
+    setHoveredInteractives([]);
+}
+
+/**
+ * Delegated pointermove: remember the position and schedule one magnetic pass
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleInteractionMove(e) {
+    if (!interactionState.enabled || !interactionState.hovered.length) return;
+
+    interactionState.pointer.x = e.clientX;
+    interactionState.pointer.y = e.clientY;
+    if (!interactionState.frame) interactionState.frame = requestAnimationFrame(applyMagneticFrame);
+}
+
+/**
+ * Turn hover effects on, binding the delegated listeners the first time
+ * Safe to call repeatedly; listeners are never bound twice
+ */
+function enableInteractions() {
+    interactionState.enabled = true;
+    if (interactionState.listeners) return;
+
+    const listeners = new AbortController();
+    const options = { passive: true, signal: listeners.signal };
+    document.addEventListener('pointerover', handleInteractionOver, options);
+    document.addEventListener('pointerout', handleInteractionOut, options);
+    document.addEventListener('pointermove', handleInteractionMove, options);
+    interactionState.listeners = listeners;
+}
+
+/**
+ * Pause hover effects and settle any hovered element
+ * The delegated listeners stay bound; enableInteractions() resumes
+ */
+function disableInteractions() {
+    interactionState.enabled = false;
+    if (interactionState.frame) cancelAnimationFrame(interactionState.frame);
+    interactionState.frame = 0;
+    setHoveredInteractives([]);
+}
+
+/**
+ * Disable hover effects and remove the delegated listeners entirely
+ */
+function teardownInteractions() {
+    disableInteractions();
+    if (interactionState.listeners) interactionState.listeners.abort();
+    interactionState.listeners = null;
+}
+
+// Settle magnetised/scaled elements when motion gets reduced
+onMotionChange(reduced => {
+    if (reduced && interactionState.hovered.length) {
+        gsap.set(interactionState.hovered, { x: 0, y: 0, scale: 1, zIndex: 1 });
+    }
+});
+
+// Bind hover interactions once for the lifetime of the page
+enableInteractions();
+
+/* ============================================================================
+   HERO SECTION ANIMATIONS
+   ============================================================================
+   Animates hero content on page load and creates interactive effects
+   - Character stagger entrance
+   - Parallax movement on mouse move
+   - 3D scroll reveal effect
+   ============================================================================ */
+
+/**
+ * Hero section Scroll Parallax
+ * Parallax effects for the new Minimal Hero
+ * Elements move at different speeds and fade out
+ */
+let heroTimeline = null;
+
+/**
+ * Create or remove the hero scroll scrub for the motion policy
+ * @param {boolean} reduced - Whether motion is reduced
+ */
+function setHeroScroll(reduced) {
+    if (reduced) {
+        // Kill the scrub and put the hero back where it started
+        if (heroTimeline) {
+            heroTimeline.scrollTrigger.kill();
+            heroTimeline.progress(0).kill();
+            heroTimeline = null;
+        }
+        return;
+    }
+
+    if (heroTimeline) return;
+
+    heroTimeline = gsap.timeline({
+        scrollTrigger: {
+            trigger: "#hero-aesthetic",
+            start: "top top",
+            end: "bottom top", // Animate over the height of the hero
+            scrub: true
+        }
+    });
+
+    // Apply transformations during scroll
+    heroTimeline
+        .to(".aesthetic-headline", { y: -200, opacity: 0, scale: 0.9, ease: "none" }, 0)
+        .to(".hero-bg-graphic", { rotation: 120, scale: 1.5, opacity: 0, ease: "none" }, 0)
+        .to(".hero-bottom-bar", { y: -100, opacity: 0, ease: "none" }, 0)
+        .to(".hero-top-bar", { y: -100, opacity: 0, ease: "none" }, 0);
+}
+
+setHeroScroll(isReducedMotion());
+onMotionChange(setHeroScroll);
+
+
+/* ============================================================================
+   COMPONENT ANIMATIONS
+   ============================================================================
+   Scroll-triggered animations for main content sections
+   - Work section zoom and shadow effects
+   - Grid item entrance animations
+   - Navbar hide on scroll
+   ============================================================================ */
+
+/**
+ * Animate work section container on scroll
+ * Applies zoom-in and shadow effects as user scrolls to work section
+ */
+// Work section animations removed for sticky stack effect
+
+/**
+ * Hide/show navbar on scroll direction
+ * Navbar hides when scrolling down, shows when scrolling up
+ */
+let lastScrollY = window.scrollY;
+const navbar = document.getElementById('navbar');
+
+// Initial navbar entrance removed - handled by animateHeroEntrance()
+
+/**
+ * Listen for scroll events to toggle navbar visibility
+ */
+window.addEventListener('scroll', () => {
+    // Scrolling down: hide navbar
+    if (window.scrollY > lastScrollY) {
+        navbar.style.transform = 'translateY(-100%)';
+    }
+    // Scrolling up: show navbar
+    else {
+        navbar.style.transform = 'translateY(0)';
+    }
+    lastScrollY = window.scrollY;
+});
+
+
+/* ============================================================================
+   ABOUT SECTION - BADGE ANIMATION
+   ============================================================================
+   Creates 3D entrance animation and floating effect for ID badge
+   ============================================================================ */
+
+/**
+ * Get the animated parts of the ID badge
+ * @returns {Element[]} Badge container, badge, bubble, photo and detail rows that exist
+ */
+function getBadgeElements() {
+    return [
+        document.querySelector(".about-badge-container"),
+        document.querySelector(".id-badge"),
+        document.querySelector("#badgeBubble"),
+        document.querySelector(".badge-photo-wrap img"),
+        ...document.querySelectorAll(".badge-details div")
+    ].filter(Boolean);
+}
+
+/**
+ * Stop every badge tween, including the infinite float and bubble pulse
+ * Called when leaving the about view
+ */
+function stopBadgeAnimation() {
+    gsap.killTweensOf(getBadgeElements());
+}
+
+/**
+ * Animate badge entrance and floating effect when about section is shown
+ * Includes 3D rotation reveal and continuous floating motion
+ */
+function animateBadge() {
+    // Get badge element - use the new .about-badge-container wrapper
+    const badgeContainer = document.querySelector(".about-badge-container");
+    const badge = document.querySelector(".id-badge");
+    if (!badgeContainer || !badge) return;
+
+    const bubble = document.querySelector("#badgeBubble");
+    const detailItems = document.querySelectorAll(".badge-details div");
+    const badgePhoto = document.querySelector(".badge-photo-wrap img");
+
+    // Reset animations to ensure they run fresh each time
+    stopBadgeAnimation();
+
+    // Reduced motion: settle everything in place with a fade, no loops
+    if (isReducedMotion()) {
+        gsap.set(badgeContainer, { y: 0, scale: 1, rotationX: 0, rotationY: 0 });
+        gsap.fromTo(badgeContainer, { opacity: 0 }, { opacity: 1, duration: 0.4 });
+        gsap.set(detailItems, { opacity: 1, y: 0 });
+        if (bubble) gsap.set(bubble, { opacity: 1, scale: 1, x: 0, y: 0, rotation: 12 });
+        if (badgePhoto) gsap.set(badgePhoto, { scale: 1, opacity: 1 });
+        return;
+    }
+
+    // Initial state: hidden, scaled down, rotated in 3D
+    gsap.set(badgeContainer, {
+        opacity: 0,
+        y: 50,
+        scale: 0.8,
+        rotationX: -20,
+        rotationY: 15,
+        transformPerspective: 1000
+    });
+
+    // Animate entrance with 3D reveal - enhanced effect
+    gsap.to(badgeContainer, {
+        opacity: 1,
+        y: 0,
+        scale: 1,
+        rotationX: 0,
+        rotationY: 0,
+        duration: 1.2,
+        ease: "back.out",
+        onComplete: () => {
+            // Start floating animation after entrance completes
+            gsap.to(badgeContainer, {
+                y: "-=12",
+                duration: 3.5,
+                repeat: -1,
+                yoyo: true,
+                ease: "sine.inOut"
+            });
+        }
+    });
+
+    /**
+     * Animate badge details items with staggered entrance
+     */
+    if (detailItems.length > 0) {
+        gsap.from(detailItems, {
+            opacity: 0,
+            y: 10,
+            stagger: 0.1,
+            duration: 0.6,
+            ease: "back.out",
+            delay: 0.8
+        });
+    }
+
+    /**
+     * Animate badge speech bubble with pop effect
+     */
+    if (bubble) {
+        // Initial bubble state
+        gsap.set(bubble, {
+            opacity: 0,
+            scale: 0,
+            rotation: 12,
+            x: 20
+        });
+
+        // Pop in animation
+        gsap.to(bubble, {
+            opacity: 1,
+            scale: 1,
+            x: 0,
+            rotation: 12,
+            duration: 0.6,
+            ease: "back.out",
+            delay: 0.5
+        });
+
+        // Continuous pulse and float animation
+        gsap.to(bubble, {
+            scale: 1.08,
+            duration: 2.5,
+            repeat: -1,
+            yoyo: true,
+            ease: "sine.inOut",
+            delay: 1.1
+        });
+
+        gsap.to(bubble, {
+            y: "-=6",
+            x: "+=3",
+            duration: 3,
+            repeat: -1,
+            yoyo: true,
+            ease: "power1.inOut",
+            delay: 1.1
+        });
+    }
+
+    /**
+     * Animate badge photo with zoom effect
+     */
+    if (badgePhoto) {
+        gsap.from(badgePhoto, {
+            scale: 0.9,
+            opacity: 0.5,
+            duration: 0.7,
+            ease: "power2.out",
+            delay: 0.2
+        });
+    }
+}
+
+// Kill or restart the badge loops when the policy flips while About is showing
+onMotionChange(() => {
+    if (activeViewId === 'about') animateBadge();
+});
+
+/* ============================================================================
+   PHOTO GALLERY FILTERS
+   ============================================================================
+   Narrows the Visual Archives grid by mood/tag and title search
+   - Chips are built from each tile's .photo-mood and data-tags
+   - Multi-select keeps photos matching any selected chip
+   - The grid re-layouts with a GSAP Flip animation
+   - Active filters live in the URL: #photos?mood=calm,urban&q=sky
+   ============================================================================ */
+
+// Set multiSelect to false to make chips behave like radio buttons
+const galleryFilterConfig = { multiSelect: true };
+
+// Active filter: selected tag keys and the lowercased search text
+const galleryFilter = { tags: new Set(), query: '' };
+
+/**
+ * Get all gallery tiles in display order
+ * @returns {Element[]} The .gallery-item elements
+ */
+function getGalleryItems() {
+    return Array.from(document.querySelectorAll('.photo-gallery-modern .gallery-item'));
+}
+
+/**
+ * Get the tiles that pass the active filter
+ * @returns {Element[]} Visible .gallery-item elements
+ */
+function getVisibleGalleryItems() {
+    return getGalleryItems().filter(item => !item.classList.contains('is-filtered-out'));
+}
+
+/**
+ * Normalize a mood/tag label into a URL-friendly key
+ * @param {string} label - e.g. "Black & White"
+ * @returns {string} e.g. "black-white"
+ */
+function toTagKey(label) {
+    return label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Read a tile's mood and extra tags
+ * @param {Element} item - Gallery item
+ * @returns {string[]} Labels, mood first
+ */
+function getGalleryItemTags(item) {
+    const mood = item.querySelector('.photo-mood');
+    const extra = (item.dataset.tags || '').split(',');
+    return [mood ? mood.textContent : '', ...extra].map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Check a tile against the active filter
+ * @param {Element} item - Gallery item
+ * @returns {boolean} True if the tile should be shown
+ */
+function matchesGalleryFilter(item) {
+    const keys = getGalleryItemTags(item).map(toTagKey);
+    const title = item.querySelector('.photo-caption h3');
+
+    const tagMatch = !galleryFilter.tags.size || keys.some(key => galleryFilter.tags.has(key));
+    const textMatch = !galleryFilter.query ||
+        (title && title.textContent.toLowerCase().includes(galleryFilter.query));
+
+    return tagMatch && textMatch;
+}
+
+/**
+ * Serialize the active filter for the URL
+ * @returns {string} Query string with leading "?", or '' when unfiltered
+ */
+function galleryFilterQuery() {
+    const query = new URLSearchParams();
+    if (galleryFilter.tags.size) query.set('mood', Array.from(galleryFilter.tags).join(','));
+    if (galleryFilter.query) query.set('q', galleryFilter.query);
+
+    // Keep the tag list readable in the address bar
+    const search = query.toString().replace(/%2C/g, ',');
+    return search ? `?${search}` : '';
+}
+
+/**
+ * Show/hide tiles for the active filter and animate the grid into place
+ * @param {boolean} animate - Use the Flip re-layout (false on first load)
+ */
+function applyGalleryFilter(animate = true) {
+    const items = getGalleryItems();
+    const state = animate ? Flip.getState(items) : null;
+
+    items.forEach(item => item.classList.toggle('is-filtered-out', !matchesGalleryFilter(item)));
+
+    // Sync chips and search box with the state (it may have come from the URL)
+    document.querySelectorAll('#gallery-chips .filter-chip').forEach(chip => {
+        const isActive = chip.dataset.tag ? galleryFilter.tags.has(chip.dataset.tag) : !galleryFilter.tags.size;
+        chip.classList.toggle('active', isActive);
+        chip.setAttribute('aria-pressed', isActive);
+    });
+
+    const search = document.getElementById('gallery-search');
+    if (search && search.value.trim().toLowerCase() !== galleryFilter.query) search.value = galleryFilter.query;
+
+    const empty = document.getElementById('gallery-empty');
+    if (empty) empty.hidden = getVisibleGalleryItems().length > 0;
+
+    if (state && !isReducedMotion()) {
+        Flip.from(state, {
+            duration: 0.6,
+            ease: "power2.inOut",
+            absolute: true,
+            nested: true,
+            onEnter: entering => gsap.fromTo(entering, { opacity: 0, scale: 0.9 }, { opacity: 1, scale: 1, duration: 0.4 }),
+            onLeave: leaving => gsap.to(leaving, { opacity: 0, scale: 0.9, duration: 0.3 }),
+            onComplete: () => ScrollTrigger.refresh()
+        });
+    }
+}
+
+/**
+ * Adopt the filter from a photos route query - called by the router
+ * @param {URLSearchParams} query - Route query (mood, q)
+ * @param {boolean} animate - Animate the re-layout (only when the grid is already on screen)
+ */
+function applyGalleryFilterQuery(query, animate) {
+    const tags = (query.get('mood') || '').split(',').map(toTagKey).filter(Boolean);
+    const text = (query.get('q') || '').trim().toLowerCase();
+
+    const unchanged = text === galleryFilter.query &&
+        tags.length === galleryFilter.tags.size && tags.every(tag => galleryFilter.tags.has(tag));
+    if (unchanged) return;
+
+    galleryFilter.tags = new Set(tags);
+    galleryFilter.query = text;
+    applyGalleryFilter(animate);
+}
+
+/**
+ * Re-apply the filter after a chip/search change and record it in the URL
+ * Replaces the history entry so typing doesn't flood Back
+ */
+function updateGalleryFilter() {
+    applyGalleryFilter();
+
+    // The lightbox keeps its own photo segment
+    const base = lightboxIndex === -1 ? 'photos' : `photos/${lightboxIndex + 1}`;
+    navigate(`${base}${galleryFilterQuery()}`, { replace: true });
+}
+
+/**
+ * Build the filter chips from the moods/tags present in the grid
+ */
+function initGalleryFilters() {
+    const chipsEl = document.getElementById('gallery-chips');
+    const search = document.getElementById('gallery-search');
+    if (!chipsEl) return;
+
+    // Unique labels in grid order, counted for the chip badges
+    const labels = new Map();
+    getGalleryItems().forEach(item => {
+        getGalleryItemTags(item).forEach(label => {
+            const key = toTagKey(label);
+            const entry = labels.get(key) || { label, count: 0 };
+            entry.count++;
+            labels.set(key, entry);
+        });
+    });
+
+    const createChip = (label, key, count) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'filter-chip hover-target';
+        chip.setAttribute('aria-pressed', 'false');
+        if (key) chip.dataset.tag = key;
+        chip.innerHTML = `${escapeHTML(label)}${count ? ` <span class="chip-count">${count}</span>` : ''}`;
+        return chip;
+    };
+
+    // applyTranslations() re-words the "All" chip on locale changes
+    const allChip = createChip(t('photos.all', 'All'), '', 0);
+    allChip.dataset.i18n = 'photos.all';
+    chipsEl.appendChild(allChip);
+    labels.forEach(({ label, count }, key) => chipsEl.appendChild(createChip(label, key, count)));
+
+    chipsEl.addEventListener('click', (e) => {
+        const chip = e.target.closest('.filter-chip');
+        if (!chip) return;
+
+        const key = chip.dataset.tag;
+        if (!key) {
+            galleryFilter.tags.clear();
+        } else if (galleryFilter.tags.has(key)) {
+            galleryFilter.tags.delete(key);
+        } else {
+            if (!galleryFilterConfig.multiSelect) galleryFilter.tags.clear();
+            galleryFilter.tags.add(key);
+        }
+
+        updateGalleryFilter();
+    });
+
+    if (search) {
+        let searchTimer = null;
+        search.addEventListener('input', () => {
+            galleryFilter.query = search.value.trim().toLowerCase();
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(updateGalleryFilter, 250);
+        });
+    }
+
+    applyGalleryFilter(false);
+}
+
+/* ============================================================================
+   PHOTO GALLERY LIGHTBOX
+   ============================================================================
+   Full-size viewer for the Visual Archives gallery
+   - Opens from any .gallery-item, deep-linked as #photos/<n>
+   - Arrow keys, buttons and swipe step through photos
+   - Pinch or double-tap to zoom, drag to pan while zoomed
+   - Escape, the close button and Back all close it
+   ============================================================================ */
+
+const lightbox = document.getElementById('lightbox');
+const lightboxStage = document.getElementById('lightbox-stage');
+const lightboxImg = document.getElementById('lightbox-img');
+
+// 0-based index of the open photo, -1 while closed
+let lightboxIndex = -1;
+
+// Whether opening pushed a history entry, so closing can step back over it
+let lightboxPushedEntry = false;
+
+// Current zoom/pan of the lightbox image
+const lightboxZoom = { scale: 1, x: 0, y: 0 };
+const LIGHTBOX_MAX_ZOOM = 4;
+
+/**
+ * Open a photo from its tile by navigating to its deep link
+ * @param {number} index - 0-based tile index
+ */
+function openPhoto(index) {
+    lightboxPushedEntry = true;
+    navigate(`photos/${index + 1}${galleryFilterQuery()}`);
+}
+
+/**
+ * Show a photo in the lightbox - called by the router for #photos/<n>
+ * @param {string} position - 1-based photo number from the URL
+ */
+function openLightbox(position) {
+    const index = Number(position) - 1;
+    if (!lightbox || !getGalleryItems()[index]) return;
+
+    const wasOpen = lightboxIndex !== -1;
+    lightboxIndex = index;
+    renderLightboxPhoto();
+
+    // Counted for every photo shown, including steps inside an open lightbox
+    const title = getGalleryItems()[index].querySelector('.photo-caption h3');
+    trackEvent('photo_open', { photo: index + 1, title: title ? title.textContent : '', stepped: wasOpen });
+
+    if (wasOpen) return;
+
+    lightbox.hidden = false;
+    document.body.classList.add('lightbox-open');
+    document.addEventListener('keydown', handleLightboxKeys);
+    activateDialog(lightbox, {
+        onEscape: requestLightboxClose,
+        initialFocus: document.getElementById('lightbox-close')
+    });
+    gsap.fromTo(lightbox, { opacity: 0 }, { opacity: 1, duration: 0.3, ease: "power2.out" });
+}
+
+/**
+ * Hide the lightbox - called by the router when leaving #photos/<n>
+ */
+function closeLightbox() {
+    if (!lightbox || lightboxIndex === -1) return;
+
+    lightboxIndex = -1;
+    lightboxPushedEntry = false;
+    document.body.classList.remove('lightbox-open');
+    document.removeEventListener('keydown', handleLightboxKeys);
+    deactivateDialog(lightbox);
+
+    gsap.to(lightbox, {
+        opacity: 0,
+        duration: 0.25,
+        ease: "power2.in",
+        onComplete: () => {
+            // A photo may have been reopened while fading out
+            if (lightboxIndex === -1) lightbox.hidden = true;
+        }
+    });
+}
+
+/**
+ * Close from inside the lightbox (Escape, close button)
+ * Steps back over the entry we pushed, or replaces a deep-linked entry
+ */
+function requestLightboxClose() {
+    if (lightboxPushedEntry) {
+        window.history.back();
+    } else {
+        navigate(`photos${galleryFilterQuery()}`, { replace: true });
+    }
+}
+
+/**
+ * Get the photo a step away from the open one among the filtered photos, wrapping around
+ * @param {number} delta - -1 for previous, 1 for next
+ * @returns {Element|null} Neighbouring gallery item
+ */
+function getLightboxNeighbour(delta) {
+    const visible = getVisibleGalleryItems();
+    if (!visible.length) return null;
+
+    const current = visible.indexOf(getGalleryItems()[lightboxIndex]);
+    // A deep-linked photo outside the filter steps into the filtered set
+    const from = current === -1 ? (delta > 0 ? -1 : 0) : current;
+    return visible[(from + delta + visible.length) % visible.length];
+}
+
+/**
+ * Move to the previous/next photo within the active filter
+ * Replaces the history entry so Back still closes the lightbox
+ * @param {number} delta - -1 for previous, 1 for next
+ */
+function stepLightbox(delta) {
+    if (lightboxIndex === -1) return;
+
+    const next = getLightboxNeighbour(delta);
+    if (!next) return;
+    navigate(`photos/${getGalleryItems().indexOf(next) + 1}${galleryFilterQuery()}`, { replace: true });
+}
+
+/**
+ * Fill the lightbox with the current photo and preload its neighbours
+ */
+function renderLightboxPhoto() {
+    const items = getGalleryItems();
+    const visible = getVisibleGalleryItems();
+    const item = items[lightboxIndex];
+    const img = item.querySelector('img');
+    const mood = item.querySelector('.photo-mood');
+    const title = item.querySelector('.photo-caption h3');
+
+    resetLightboxZoom(false);
+    setResponsiveImage(lightboxImg, img.dataset.original || img.src, 'lightbox');
+    lightboxImg.alt = title ? title.textContent : img.alt;
+
+    document.getElementById('lightbox-mood').textContent = mood ? mood.textContent : '';
+    document.getElementById('lightbox-title').textContent = title ? title.textContent : '';
+    const position = visible.indexOf(item);
+    document.getElementById('lightbox-counter').textContent = position === -1
+        ? `${lightboxIndex + 1} / ${items.length}`
+        : `${position + 1} / ${visible.length}`;
+
+    gsap.fromTo(lightboxImg, { opacity: 0 }, { opacity: 1, duration: 0.4, ease: "power2.out" });
+
+    // Warm the cache so stepping feels instant
+    [-1, 1].forEach(delta => {
+        const neighbour = getLightboxNeighbour(delta);
+        const neighbourImg = neighbour && neighbour.querySelector('img');
+        if (neighbourImg) preloadImage(neighbourImg.dataset.original || neighbourImg.src, 'lightbox');
+    });
+}
+
+/**
+ * Keyboard controls while the lightbox is open (Escape is handled by the dialog)
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleLightboxKeys(e) {
+    if (e.key === 'ArrowLeft') stepLightbox(-1);
+    else if (e.key === 'ArrowRight') stepLightbox(1);
+}
+
+/**
+ * Apply the current zoom/pan to the image
+ * @param {boolean} animate - Tween to the new transform instead of jumping
+ */
+function applyLightboxZoom(animate) {
+    const props = { scale: lightboxZoom.scale, x: lightboxZoom.x, y: lightboxZoom.y };
+    if (animate && !isReducedMotion()) {
+        gsap.to(lightboxImg, { ...props, duration: 0.3, ease: "power2.out", overwrite: true });
+    } else {
+        gsap.set(lightboxImg, props);
+    }
+    lightboxStage.classList.toggle('zoomed', lightboxZoom.scale > 1);
+}
+
+/**
+ * Return the image to its unzoomed state
+ * @param {boolean} animate - Tween back instead of jumping
+ */
+function resetLightboxZoom(animate) {
+    lightboxZoom.scale = 1;
+    lightboxZoom.x = 0;
+    lightboxZoom.y = 0;
+    applyLightboxZoom(animate);
+}
+
+/**
+ * Pointer gestures on the lightbox stage
+ * - One pointer: swipe to step (unzoomed) or pan (zoomed)
+ * - Two pointers: pinch to zoom
+ * - Double tap / double click: toggle 2x zoom at the tapped point
+ */
+if (lightbox) {
+    const pointers = new Map();
+    let gesture = null;
+    let lastTap = { time: 0, x: 0, y: 0 };
+
+    const pointerDistance = () => {
+        const [a, b] = Array.from(pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    };
+
+    // Snapshot of where the current gesture started
+    const startGesture = () => {
+        const [first] = Array.from(pointers.values());
+        gesture = {
+            startX: first.x,
+            startY: first.y,
+            originX: lightboxZoom.x,
+            originY: lightboxZoom.y,
+            startScale: lightboxZoom.scale,
+            startDistance: pointers.size === 2 ? pointerDistance() : 0,
+            moved: false,
+            multiTouch: pointers.size > 1
+        };
+    };
+
+    lightboxStage.addEventListener('pointerdown', (e) => {
+        lightboxStage.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        startGesture();
+    });
+
+    lightboxStage.addEventListener('pointermove', (e) => {
+        if (!pointers.has(e.pointerId) || !gesture) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        const point = pointers.get(e.pointerId);
+        const dx = point.x - gesture.startX;
+        const dy = point.y - gesture.startY;
+        if (Math.abs(dx) > 5 || Math.abs(dy) > 5) gesture.moved = true;
+
+        if (pointers.size === 2) {
+            // Pinch zoom
+            const ratio = pointerDistance() / gesture.startDistance;
+            lightboxZoom.scale = Math.min(Math.max(gesture.startScale * ratio, 1), LIGHTBOX_MAX_ZOOM);
+            applyLightboxZoom(false);
+        } else if (lightboxZoom.scale > 1) {
+            // Pan the zoomed image
+            lightboxZoom.x = gesture.originX + dx;
+            lightboxZoom.y = gesture.originY + dy;
+            applyLightboxZoom(false);
+        } else {
+            // Let the photo follow the swipe a little
+            gsap.set(lightboxImg, { x: dx * 0.3 });
+        }
+    });
+
+    const endPointer = (e) => {
+        if (!pointers.has(e.pointerId) || !gesture) return;
+        pointers.delete(e.pointerId);
+
+        // Lifting one finger of a pinch restarts the gesture from the remaining one
+        if (pointers.size) {
+            startGesture();
+            gesture.multiTouch = true;
+            return;
+        }
+
+        const dx = e.clientX - gesture.startX;
+        const wasMultiTouch = gesture.multiTouch;
+        const moved = gesture.moved;
+        gesture = null;
+
+        if (lightboxZoom.scale <= 1) {
+            lightboxZoom.scale = 1;
+            if (!wasMultiTouch && Math.abs(dx) > 50) {
+                stepLightbox(dx < 0 ? 1 : -1);
+                return;
+            }
+            resetLightboxZoom(true);
+        }
+
+        if (moved || wasMultiTouch) return;
+
+        // Double tap toggles zoom around the tapped point
+        const now = Date.now();
+        const isDoubleTap = now - lastTap.time < 300 &&
+            Math.abs(e.clientX - lastTap.x) < 30 && Math.abs(e.clientY - lastTap.y) < 30;
+
+        if (isDoubleTap) {
+            if (lightboxZoom.scale > 1) {
+                resetLightboxZoom(true);
+            } else {
+                const rect = lightboxStage.getBoundingClientRect();
+                lightboxZoom.scale = 2;
+                lightboxZoom.x = (rect.left + rect.width / 2 - e.clientX);
+                lightboxZoom.y = (rect.top + rect.height / 2 - e.clientY);
+                applyLightboxZoom(true);
+            }
+            lastTap.time = 0;
+        } else {
+            lastTap = { time: now, x: e.clientX, y: e.clientY };
+        }
+    };
+
+    lightboxStage.addEventListener('pointerup', endPointer);
+    lightboxStage.addEventListener('pointercancel', endPointer);
+
+    document.getElementById('lightbox-close').addEventListener('click', requestLightboxClose);
+    document.getElementById('lightbox-prev').addEventListener('click', () => stepLightbox(-1));
+    document.getElementById('lightbox-next').addEventListener('click', () => stepLightbox(1));
+}
+
+/**
+ * Give each gallery tile an accessible name such as "Open photo: Urban Chaos"
+ */
+function labelGalleryItems() {
+    getGalleryItems().forEach(item => {
+        const title = item.querySelector('.photo-caption h3');
+        if (title) item.setAttribute('aria-label', t('photos.open', 'Open photo: {title}', { title: title.textContent }));
+    });
+}
+
+// Tiles only exist once the photos view is mounted
+onLocaleChange(labelGalleryItems);
+
+/**
+ * Set up the photos view once its markup is mounted (view registry onMount)
+ * Builds the filter chips and makes gallery tiles open the lightbox by click or keyboard
+ */
+function initPhotoGallery() {
+    const photoGallery = document.querySelector('.photo-gallery-modern');
+
+    initGalleryFilters();
+    if (!photoGallery) return;
+
+    getGalleryItems().forEach(item => {
+        item.setAttribute('tabindex', '0');
+        item.setAttribute('role', 'button');
+    });
+    labelGalleryItems();
+
+    photoGallery.addEventListener('click', (e) => {
+        const item = e.target.closest('.gallery-item');
+        if (item) openPhoto(getGalleryItems().indexOf(item));
+    });
+
+    photoGallery.addEventListener('keydown', (e) => {
+        const item = e.target.closest('.gallery-item');
+        if (!item || (e.key !== 'Enter' && e.key !== ' ')) return;
+        e.preventDefault();
+        openPhoto(getGalleryItems().indexOf(item));
+    });
+}
+
+/* ============================================================================
+   MOBILE MENU SYSTEM
+   ============================================================================
+   Handles hamburger menu toggle and mobile navigation
+   Creates smooth slide-in/out animation with staggered menu items
+   ============================================================================ */
+
+// Reference DOM elements for mobile menu
+const menuTrigger = document.getElementById('mobile-menu-trigger');
+const navOverlay = document.getElementById('nav-overlay');
+const mNavItems = document.querySelectorAll('.m-nav-item');
+const menuCloseBtn = document.getElementById('menu-close-btn');
+
+// Track menu open/closed state
+let isMenuOpen = false;
+
+/**
+ * Create GSAP timeline for smooth menu animations
+ * Animation sequence: overlay slide in → menu items fade in → close button appears
+ */
+const menuTl = gsap.timeline({ paused: true });
+menuTl.to(navOverlay, { x: 0, visibility: 'visible', duration: 0.6, ease: "expo.out" })
+    .to(mNavItems, { opacity: 1, y: 0, stagger: 0.1, duration: 0.4, ease: "back.out(1.7)" }, "-=0.3")
+    .to(menuCloseBtn, { opacity: 1, scale: 1, duration: 0.3, ease: "back.out(1.7)" }, "-=0.2");
+
+/* ============================================================================
+   MOBILE MENU IMAGE PREVIEW INTERACTION
+   ============================================================================ */
+const previewContainer = document.querySelector('.nav-preview-container');
+const previewImg = document.getElementById('nav-preview-img');
+
+if (previewContainer && previewImg) {
+    mNavItems.forEach(item => {
+        item.addEventListener('mouseenter', () => {
+            const imgSrc = item.getAttribute('data-img');
+            if (imgSrc) {
+                setResponsiveImage(previewImg, imgSrc, 'preview');
+                previewContainer.classList.add('active');
+            }
+        });
+
+        item.addEventListener('mouseleave', () => {
+            previewContainer.classList.remove('active');
+        });
+    });
+
+    // Warm the previews once the page is idle, so hovering swaps instantly
+    // Skipped while the layout hides the preview or the visitor asked to save data
+    window.addEventListener('load', () => whenIdle(() => {
+        const saveData = navigator.connection && navigator.connection.saveData;
+        if (saveData || getComputedStyle(previewContainer).display === 'none') return;
+
+        mNavItems.forEach(item => {
+            const imgSrc = item.getAttribute('data-img');
+            if (imgSrc) preloadImage(imgSrc, 'preview');
+        });
+    }));
+}
+
+/**
+ * Toggle mobile menu open/closed state
+ * @param {string} targetView - Optional view to show after menu closes
+ */
+function toggleMobileMenu(targetView) {
+    if (!isMenuOpen) {
+        // Menu is closed, open it (jump straight to the end when motion is reduced)
+        if (isReducedMotion()) menuTl.progress(1).pause();
+        else menuTl.play();
+        menuTrigger.classList.add('active');
+        navOverlay.classList.add('active');
+        menuTrigger.setAttribute('aria-expanded', 'true');
+        menuTrigger.setAttribute('aria-label', t('nav.closeMenu', 'Close menu'));
+        activateDialog(navOverlay, { onEscape: () => toggleMobileMenu(), initialFocus: menuCloseBtn });
+    } else {
+        // Menu is open, close it
+        if (isReducedMotion()) menuTl.progress(0).pause();
+        else menuTl.reverse();
+        menuTrigger.classList.remove('active');
+        navOverlay.classList.remove('active');
+        menuTrigger.setAttribute('aria-expanded', 'false');
+        menuTrigger.setAttribute('aria-label', t('nav.openMenu', 'Open menu'));
+        deactivateDialog(navOverlay);
+
+        // Navigate to selected view after menu closes
+        if (targetView) setTimeout(() => navigate(targetView), isReducedMotion() ? 0 : 500);
+    }
+
+    // Toggle menu state
+    isMenuOpen = !isMenuOpen;
+    emitPortfolioEvent('menutoggle', { open: isMenuOpen });
+}
+
+/**
+ * Add click handler to hamburger menu trigger
+ */
+menuTrigger.addEventListener('click', () => toggleMobileMenu());
+
+// Keep the trigger's label in the new language
+onLocaleChange(() => {
+    menuTrigger.setAttribute('aria-label', isMenuOpen ? t('nav.closeMenu', 'Close menu') : t('nav.openMenu', 'Open menu'));
+});
+
+/* ============================================================================
+   CONTACT TRANSPORT & OFFLINE OUTBOX
+   ============================================================================
+   Sends contact messages through an interchangeable adapter
+   - emailjs: EmailJS browser SDK (default)
+   - endpoint: JSON POST to any URL (see scripts/mock-server.js for a local one)
+   - mailto: opens the visitor's mail app, also used as the error fallback;
+     the message is only handed off, so it's never reported as sent
+   Messages that fail while offline are kept in a localStorage outbox
+   and retried automatically when the connection returns; a message the
+   transport keeps refusing is dropped after outboxMaxAttempts tries
+   ============================================================================ */
+
+/**
+ * Transport configuration
+ * A page can override it by defining window.CONTACT_CONFIG before script.js;
+ * adapter blocks are merged key by key, so { emailjs: { publicKey } } keeps
+ * the default service and template ids
+ */
+const CONTACT_DEFAULTS = {
+    transport: 'emailjs',
+    emailjs: {
+        publicKey: 'oTPVHwl5Wz0cIOKA-',
+        serviceId: 'service_6qr1akj',
+        templateId: 'template_rsqwb7s'
+    },
+    endpoint: {
+        url: '/api/contact',
+        headers: {}
+    },
+    mailto: {
+        address: 'xeedipu@gmail.com',
+        subject: 'Hello from your portfolio'
+    },
+    outboxKey: 'contact-outbox',
+    outboxMaxAttempts: 3
+};
+
+const CONTACT_CONFIG = Object.assign({}, CONTACT_DEFAULTS, window.CONTACT_CONFIG);
+
+['emailjs', 'endpoint', 'mailto'].forEach(adapter => {
+    const override = window.CONTACT_CONFIG && window.CONTACT_CONFIG[adapter];
+    CONTACT_CONFIG[adapter] = Object.assign({}, CONTACT_DEFAULTS[adapter], override);
+});
+
+/**
+ * Error raised by adapters when a send fails
+ * `offline` marks failures worth queueing instead of reporting
+ */
+class ContactTransportError extends Error {
+    constructor(message, { offline = false, cause } = {}) {
+        super(message);
+        this.name = 'ContactTransportError';
+        this.offline = offline;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Decide whether a failure was caused by missing connectivity
+ * @param {*} error - Rejection from fetch or the EmailJS SDK
+ * @returns {boolean} True if the message should be queued
+ */
+function isOfflineFailure(error) {
+    if (!navigator.onLine) return true;
+    // fetch rejects with a TypeError on network failure, EmailJS reports status 0
+    return error instanceof TypeError || (!!error && error.status === 0);
+}
+
+/**
+ * Build a mailto: URL carrying the message
+ * @param {Object} payload - { from_name, from_email, message }
+ * @returns {string} mailto: URL
+ */
+function buildMailtoUrl(payload) {
+    const { address, subject } = CONTACT_CONFIG.mailto;
+    const body = `${payload.message}\n\n${payload.from_name} <${payload.from_email}>`;
+    return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
+/**
+ * Transport adapters - each send(payload) returns a Promise that rejects
+ * with a ContactTransportError on failure
+ * - Resolves with { handedOff: true } when the visitor still has to finish sending
+ * - worksOffline: skip the offline check (nothing goes over the network)
+ */
+const contactTransports = {
+    emailjs: {
+        ready: false,
+        send(payload) {
+            const { publicKey, serviceId, templateId } = CONTACT_CONFIG.emailjs;
+            if (typeof emailjs === 'undefined') {
+                return Promise.reject(new ContactTransportError('EmailJS SDK not loaded', { offline: !navigator.onLine }));
+            }
+
+            // Initialize EmailJS with API credentials before the first send
+            if (!this.ready) {
+                emailjs.init(publicKey);
+                this.ready = true;
+            }
+
+            return emailjs.send(serviceId, templateId, payload).catch(error => {
+                throw new ContactTransportError('EmailJS send failed', { offline: isOfflineFailure(error), cause: error });
+            });
+        }
+    },
+
+    endpoint: {
+        send(payload) {
+            const { url, headers } = CONTACT_CONFIG.endpoint;
+
+            return fetch(url, {
+                method: 'POST',
+                headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+                body: JSON.stringify(payload)
+            }).then(response => {
+                if (!response.ok) throw new ContactTransportError(`Endpoint responded ${response.status}`);
+            }, error => {
+                throw new ContactTransportError('Endpoint unreachable', { offline: isOfflineFailure(error), cause: error });
+            });
+        }
+    },
+
+    mailto: {
+        worksOffline: true,
+        send(payload) {
+            window.location.href = buildMailtoUrl(payload);
+            return Promise.resolve({ handedOff: true });
+        }
+    }
+};
+
+/**
+ * Send a message through the configured adapter
+ * @param {Object} payload - { from_name, from_email, message }
+ * @returns {Promise<Object|void>} Resolves with the adapter's result, rejects with a ContactTransportError
+ */
+function sendContactMessage(payload) {
+    const transport = contactTransports[CONTACT_CONFIG.transport];
+    if (!transport) {
+        return Promise.reject(new ContactTransportError(`Unknown contact transport "${CONTACT_CONFIG.transport}"`));
+    }
+    if (!navigator.onLine && !transport.worksOffline) {
+        return Promise.reject(new ContactTransportError('Browser is offline', { offline: true }));
+    }
+    return transport.send(payload);
+}
+
+/**
+ * Send a message, keeping it in the outbox when the browser is offline
+ * The outcome is tracked and announced as a portfolio:contactresult event
+ * @param {Object} payload - { from_name, from_email, message }
+ * @returns {Promise<{status: string, error: ?Error}>} status is sent, handedoff (left to the mail app),
+ *   queued or failed; never rejects
+ */
+function deliverContactMessage(payload) {
+    const { transport } = CONTACT_CONFIG;
+    const report = (status, error = null) => {
+        trackEvent(`contact_${status}`, error ? { transport, error: error.message } : { transport });
+        emitPortfolioEvent('contactresult', { status, transport, error: error ? error.message : null, fromOutbox: false });
+        return { status, error };
+    };
+
+    // Started inside then() so an adapter that throws still ends up as failed
+    return Promise.resolve().then(() => sendContactMessage(payload)).then(result => report(result && result.handedOff ? 'handedoff' : 'sent'), error => {
+        // Offline: keep the message and send it when the connection returns
+        if (error.offline && queueContactMessage(payload)) return report('queued');
+        return report('failed', error);
+    });
+}
+
+/**
+ * Read the queued messages
+ * @returns {Object[]} Outbox entries: { id, payload, queuedAt, attempts }
+ */
+function readOutbox() {
+    try {
+        return JSON.parse(localStorage.getItem(CONTACT_CONFIG.outboxKey)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Persist the outbox
+ * @param {Object[]} entries - Outbox entries
+ * @returns {boolean} False if storage is unavailable
+ */
+function writeOutbox(entries) {
+    try {
+        if (entries.length) {
+            localStorage.setItem(CONTACT_CONFIG.outboxKey, JSON.stringify(entries));
+        } else {
+            localStorage.removeItem(CONTACT_CONFIG.outboxKey);
+        }
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Queue a message to be sent once the browser is back online
+ * @param {Object} payload - { from_name, from_email, message }
+ * @returns {boolean} False if the message could not be stored
+ */
+function queueContactMessage(payload) {
+    const entries = readOutbox();
+    entries.push({ id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, payload, queuedAt: Date.now(), attempts: 0 });
+    return writeOutbox(entries);
+}
+
+// Guards against overlapping flushes (online event + page load)
+let isFlushingOutbox = false;
+
+/**
+ * Try to send every queued message, oldest first
+ * Stops at the first offline failure; other failures count as an attempt,
+ * and a message is dropped (and the visitor told) once it runs out of attempts
+ * @returns {Promise<number>} Number of messages sent
+ */
+function flushOutbox() {
+    if (isFlushingOutbox || !navigator.onLine) return Promise.resolve(0);
+
+    const entries = readOutbox();
+    if (!entries.length) return Promise.resolve(0);
+
+    isFlushingOutbox = true;
+    let sent = 0;
+    let dropped = 0;
+
+    // Entries are updated by id so messages queued meanwhile are kept
+    const updateEntry = (id, update) => writeOutbox(readOutbox()
+        .map(entry => (entry.id === id ? update(entry) : entry))
+        .filter(Boolean));
+
+    const sendNext = (index) => {
+        if (index >= entries.length) return Promise.resolve();
+
+        return sendContactMessage(entries[index].payload).then(() => {
+            sent++;
+            trackEvent('contact_sent', { transport: CONTACT_CONFIG.transport, fromOutbox: true });
+            emitPortfolioEvent('contactresult', { status: 'sent', transport: CONTACT_CONFIG.transport, error: null, fromOutbox: true });
+            updateEntry(entries[index].id, () => null);
+            return sendNext(index + 1);
+        }, error => {
+            if (error.offline) return;
+            trackEvent('contact_failed', { transport: CONTACT_CONFIG.transport, error: error.message, fromOutbox: true });
+            emitPortfolioEvent('contactresult', { status: 'failed', transport: CONTACT_CONFIG.transport, error: error.message, fromOutbox: true });
+
+            updateEntry(entries[index].id, entry => {
+                const attempts = (entry.attempts || 0) + 1;
+                if (attempts < CONTACT_CONFIG.outboxMaxAttempts) return { ...entry, attempts };
+                dropped++;
+                return null;
+            });
+            return sendNext(index + 1);
+        });
+    };
+
+    return sendNext(0)
+        .then(() => {
+            if (dropped) {
+                setContactStatus(t('contact.outboxDropped', {
+                    one: "{count} queued message couldn't be sent and was discarded. Please send it again or email me directly.",
+                    other: "{count} queued messages couldn't be sent and were discarded. Please send them again or email me directly."
+                }, { count: dropped }));
+                // The form's alert is only read out while the contact view is on screen
+                if (activeViewId !== 'contact') announce(document.getElementById('contact-status').textContent);
+            } else if (sent) {
+                setContactStatus(t('contact.outboxSent', {
+                    one: '{count} queued message was sent.',
+                    other: '{count} queued messages were sent.'
+                }, { count: sent }), 'info');
+            }
+            return sent;
+        })
+        .finally(() => { isFlushingOutbox = false; });
+}
+
+window.addEventListener('online', flushOutbox);
+window.addEventListener('load', flushOutbox);
+
+/* ============================================================================
+   CONTACT FORM VALIDATION & SPAM PROTECTION
+   ============================================================================
+   Guards the form before anything is sent
+   - Inline per-field validation with messages under each field
+   - Honeypot field and a minimum time-to-submit catch bots
+   - Per-browser rate limit stored in localStorage
+   - Submit button is locked while a send is in flight
+   ============================================================================ */
+
+const contactForm = document.getElementById('contact-form');
+const contactSubmitBtn = document.getElementById('contact-submit');
+
+/**
+ * Form rules
+ * - minFillTime: faster submissions than this are treated as bots (ms)
+ * - rateLimit: at most `max` sends per `windowMs` from one browser
+ */
+const CONTACT_RULES = {
+    nameMax: 80,
+    messageMin: 20,
+    messageMax: 2000,
+    minFillTime: 3000,
+    rateLimit: { max: 3, windowMs: 15 * 60 * 1000 },
+    storageKey: 'contact-submissions'
+};
+
+// When the visitor first focused or typed in the form, null until then (reset after each send)
+let contactFormStartedAt = null;
+
+// Prevents double-clicks from sending duplicate emails
+let isContactSending = false;
+
+/**
+ * Field validators - each returns an error message or '' when valid
+ */
+const contactValidators = {
+    from_name: (value) => {
+        if (!value) return t('contact.errors.nameRequired', 'Please enter your name.');
+        if (value.length > CONTACT_RULES.nameMax) {
+            return t('contact.errors.nameTooLong', 'Name must be at most {max} characters.', { max: CONTACT_RULES.nameMax });
+        }
+        return '';
+    },
+    from_email: (value) => {
+        if (!value) return t('contact.errors.emailRequired', 'Please enter your email.');
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value)) {
+            return t('contact.errors.emailInvalid', 'Please enter a valid email address.');
+        }
+        return '';
+    },
+    message: (value) => {
+        if (!value) return t('contact.errors.messageRequired', 'Please write a message.');
+        if (value.length < CONTACT_RULES.messageMin) {
+            return t('contact.errors.messageTooShort', 'Message must be at least {min} characters.', { min: CONTACT_RULES.messageMin });
+        }
+        if (value.length > CONTACT_RULES.messageMax) {
+            return t('contact.errors.messageTooLong', 'Message must be at most {max} characters.', { max: CONTACT_RULES.messageMax });
+        }
+        return '';
+    }
+};
+
+/**
+ * Validate one field and show/clear its inline error
+ * @param {HTMLInputElement|HTMLTextAreaElement} field - Form control
+ * @returns {boolean} True if the field is valid
+ */
+function validateContactField(field) {
+    const validator = contactValidators[field.name];
+    if (!validator) return true;
+
+    const error = validator(field.value.trim());
+    const errorEl = document.getElementById(`${field.id}-error`);
+
+    field.classList.toggle('invalid', !!error);
+    field.setAttribute('aria-invalid', !!error);
+    if (errorEl) errorEl.textContent = error;
+
+    return !error;
+}
+
+/**
+ * Validate every field, focusing the first invalid one
+ * @returns {boolean} True if the whole form is valid
+ */
+function validateContactForm() {
+    const fields = Object.keys(contactValidators).map(name => contactForm.elements[name]);
+    const invalid = fields.filter(field => !validateContactField(field));
+
+    if (invalid.length) invalid[0].focus();
+    return !invalid.length;
+}
+
+/**
+ * Update the message length counter
+ */
+function updateMessageCount() {
+    const message = contactForm.elements.message;
+    const counter = document.getElementById('contact-message-count');
+    if (!counter) return;
+
+    const length = message.value.trim().length;
+    counter.textContent = `${formatNumber(length)} / ${formatNumber(CONTACT_RULES.messageMax)}`;
+    counter.classList.toggle('over', length > CONTACT_RULES.messageMax);
+}
+
+/**
+ * Read this browser's recent submission timestamps within the rate-limit window
+ * @returns {number[]} Timestamps (ms)
+ */
+function getRecentSubmissions() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONTACT_RULES.storageKey)) || [];
+        const since = Date.now() - CONTACT_RULES.rateLimit.windowMs;
+        return stored.filter(time => time > since);
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Record a submission for rate limiting
+ */
+function recordSubmission() {
+    try {
+        const recent = getRecentSubmissions();
+        recent.push(Date.now());
+        localStorage.setItem(CONTACT_RULES.storageKey, JSON.stringify(recent));
+    } catch (e) {
+        // Storage unavailable (private mode) - rate limiting is best-effort
+    }
+}
+
+/**
+ * Check whether this browser has hit the rate limit
+ * @returns {number} Minutes until another send is allowed, 0 if allowed now
+ */
+function getRateLimitWait() {
+    const recent = getRecentSubmissions();
+    if (recent.length < CONTACT_RULES.rateLimit.max) return 0;
+
+    const oldest = Math.min(...recent);
+    const waitMs = oldest + CONTACT_RULES.rateLimit.windowMs - Date.now();
+    return Math.max(1, Math.ceil(waitMs / 60000));
+}
+
+/**
+ * Detect likely bots: honeypot filled in, or form submitted untouched or inhumanly fast
+ * @returns {boolean} True if the submission looks automated
+ */
+function isLikelyBot() {
+    const honeypot = contactForm.elements.website;
+    const tooFast = contactFormStartedAt === null || Date.now() - contactFormStartedAt < CONTACT_RULES.minFillTime;
+    return (honeypot && honeypot.value !== '') || tooFast;
+}
+
+/**
+ * Show a form-level status message
+ * @param {string} message - Text to show ('' clears it)
+ * @param {string} tone - 'error' (default) or 'info'
+ */
+function setContactStatus(message, tone = 'error') {
+    const status = document.getElementById('contact-status');
+    if (!status) return;
+
+    status.textContent = message;
+    status.classList.toggle('info', tone === 'info');
+}
+
+/**
+ * Lock/unlock the submit button while sending
+ * @param {boolean} sending - Whether a send is in flight
+ */
+function setContactSending(sending) {
+    isContactSending = sending;
+    contactSubmitBtn.disabled = sending;
+    contactSubmitBtn.classList.toggle('is-sending', sending);
+    contactSubmitBtn.setAttribute('aria-busy', sending);
+    contactSubmitBtn.textContent = sending
+        ? t('contact.form.sending', 'Sending…')
+        : t('contact.form.send', 'Send Message');
+}
+
+/**
+ * Clear the form after a successful (or silently dropped) send
+ */
+function resetContactForm() {
+    contactForm.reset();
+    contactFormStartedAt = null;
+    updateMessageCount();
+}
+
+// The fill-time check counts from the first interaction, not from page load
+['focusin', 'input'].forEach(type => contactForm.addEventListener(type, () => {
+    if (contactFormStartedAt === null) contactFormStartedAt = Date.now();
+}));
+
+// Validate fields as the visitor leaves them, then live once an error is showing
+contactForm.addEventListener('focusout', (e) => {
+    if (e.target.name in contactValidators && e.target.value) validateContactField(e.target);
+});
+
+contactForm.addEventListener('input', (e) => {
+    if (e.target.name === 'message') updateMessageCount();
+    if (e.target.classList.contains('invalid')) validateContactField(e.target);
+});
+
+updateMessageCount();
+
+// Re-render visible errors, the counter and the button in the new language
+onLocaleChange(() => {
+    contactForm.querySelectorAll('.invalid').forEach(validateContactField);
+    updateMessageCount();
+    setContactSending(isContactSending);
+});
+
+/**
+ * Collect the message fields (the honeypot is left out)
+ * @returns {Object} { from_name, from_email, message }
+ */
+function getContactPayload() {
+    return {
+        from_name: contactForm.elements.from_name.value.trim(),
+        from_email: contactForm.elements.from_email.value.trim(),
+        message: contactForm.elements.message.value.trim()
+    };
+}
+
+/**
+ * Send a message given as data rather than typed into the form (window.Portfolio)
+ * Applies the form's validation, honeypot (payload.website) and rate limit;
+ * the fill-time check only makes sense for the form and is skipped
+ * @param {*} payload - { from_name, from_email, message, website }
+ * @returns {Promise<{status: string, error: ?Error}>} Same as deliverContactMessage(); never rejects
+ */
+function submitContactPayload(payload) {
+    const fail = message => Promise.resolve({ status: 'failed', error: new Error(message) });
+    if (!payload || typeof payload !== 'object') return fail('Contact payload must be an object');
+
+    const fields = {};
+    Object.keys(contactValidators).forEach(name => {
+        fields[name] = typeof payload[name] === 'string' ? payload[name].trim() : '';
+    });
+    const invalid = Object.keys(fields).map(name => contactValidators[name](fields[name])).find(Boolean);
+    if (invalid) return fail(invalid);
+
+    // Bots get a fake success, as with the form
+    if (payload.website) return Promise.resolve({ status: 'sent', error: null });
+
+    const waitMinutes = getRateLimitWait();
+    if (waitMinutes) {
+        return fail(t('contact.rateLimited', {
+            one: "You've sent a few messages already. Please try again in {count} minute.",
+            other: "You've sent a few messages already. Please try again in {count} minutes."
+        }, { count: waitMinutes }));
+    }
+
+    return deliverContactMessage(fields).then(result => {
+        if (result.status === 'sent' || result.status === 'queued') recordSubmission();
+        return result;
+    });
+}
+
+/**
+ * Handle contact form submission
+ * Validates, applies spam checks, then sends through the configured transport
+ */
+contactForm.addEventListener("submit", function (e) {
+    // Prevent default form submission behavior
+    e.preventDefault();
+
+    if (isContactSending) return;
+    setContactStatus('');
+
+    if (!validateContactForm()) return;
+
+    // Bots get a fake success so they don't retry
+    if (isLikelyBot()) {
+        showMessageModal();
+        resetContactForm();
+        return;
+    }
+
+    const waitMinutes = getRateLimitWait();
+    if (waitMinutes) {
+        setContactStatus(t('contact.rateLimited', {
+            one: "You've sent a few messages already. Please try again in {count} minute.",
+            other: "You've sent a few messages already. Please try again in {count} minutes."
+        }, { count: waitMinutes }));
+        return;
+    }
+
+    setContactSending(true);
+    const payload = getContactPayload();
+
+    deliverContactMessage(payload)
+        .then(({ status, error }) => {
+            // Error: Offer the mail app as a fallback and show error modal
+            if (status === 'failed') {
+                console.error('Contact send failed:', error);
+                const mailtoLink = document.getElementById('error-mailto');
+                if (mailtoLink) mailtoLink.href = buildMailtoUrl(payload);
+                showErrorModal();
+                return;
+            }
+
+            // Handed to the mail app: nothing was sent yet and the visitor may cancel,
+            // so the form keeps its text and nothing counts towards the rate limit
+            if (status === 'handedoff') {
+                showHandoffModal();
+                return;
+            }
+
+            // Sent or queued: Record for rate limiting, confirm and clear form
+            recordSubmission();
+            if (status === 'sent') showMessageModal();
+            else showQueuedModal();
+            resetContactForm();
+        })
+        .finally(() => setContactSending(false));
+});
+
+/**
+ * Show success message modal
+ */
+function showMessageModal() {
+    const modal = document.getElementById("message-modal");
+    modal.classList.add("active");
+    activateDialog(modal, { onEscape: closeMessageModal, initialFocus: modal.querySelector(".modal-close-btn") });
+}
+
+/**
+ * Close success message modal
+ */
+function closeMessageModal() {
+    const modal = document.getElementById("message-modal");
+    modal.classList.remove("active");
+    deactivateDialog(modal);
+}
+
+/**
+ * Show queued (offline) message modal
+ */
+function showQueuedModal() {
+    const modal = document.getElementById("queued-modal");
+    modal.classList.add("active");
+    activateDialog(modal, { onEscape: closeQueuedModal, initialFocus: modal.querySelector(".modal-close-btn") });
+}
+
+/**
+ * Close queued message modal
+ */
+function closeQueuedModal() {
+    const modal = document.getElementById("queued-modal");
+    modal.classList.remove("active");
+    deactivateDialog(modal);
+}
+
+/**
+ * Show the "finish sending in your mail app" modal
+ */
+function showHandoffModal() {
+    const modal = document.getElementById("handoff-modal");
+    modal.classList.add("active");
+    activateDialog(modal, { onEscape: closeHandoffModal, initialFocus: modal.querySelector(".modal-close-btn") });
+}
+
+/**
+ * Close the mail app hand-off modal
+ */
+function closeHandoffModal() {
+    const modal = document.getElementById("handoff-modal");
+    modal.classList.remove("active");
+    deactivateDialog(modal);
+}
+
+/**
+ * Show error message modal
+ */
+function showErrorModal() {
+    const modal = document.getElementById("error-modal");
+    modal.classList.add("active");
+    activateDialog(modal, { onEscape: closeErrorModal, initialFocus: modal.querySelector(".modal-close-btn") });
+}
+
+/**
+ * Close error message modal
+ */
+function closeErrorModal() {
+    const modal = document.getElementById("error-modal");
+    modal.classList.remove("active");
+    deactivateDialog(modal);
+}
+
+/* ============================================================================
+   LOGO ANIMATIONS
+   ============================================================================
+   Creates interactive hover effects for the logo
+
+
+/* ============================================================================
+   PROFILE DATA
+   ============================================================================
+   One source for the personal facts shown around the site
+   - profile.json: name, birth date, location, role, experiences,
+     education, skills and tools
+   - Text values may be plain strings or { en, bn } per locale
+   - Renders the hero name and age, the ID badge, the semester line
+     and the info grid cards
+   - Age and current semester are computed from dates, so they never go stale
+   ============================================================================ */
+
+// Profile data, relative to index.html
+const PROFILE_URL = 'profile.json';
+
+// Loaded profile, or null until profile.json arrives
+let profile = null;
+
+/**
+ * Pick the active locale's text from a profile value
+ * @param {string|Object|Array} value - Plain value or { en, bn } map
+ * @returns {*} The value for the current locale, falling back to English
+ */
+function localizeValue(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    return value[currentLocale] !== undefined ? value[currentLocale] : value[LOCALES[0].id];
+}
+
+/**
+ * Parse "2002-07-13" or "2024-07" as a local date
+ * @param {string} value - ISO date or year-month
+ * @returns {Date} The date (first of the month for year-month)
+ */
+function parseProfileDate(value) {
+    const [year, month = 1, day = 1] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Whole years between a birth date and today
+ * @param {string} birthDate - ISO date
+ * @param {Date} today - Reference date
+ * @returns {number} Age in years
+ */
+function getAge(birthDate, today = new Date()) {
+    const birth = parseProfileDate(birthDate);
+    let age = today.getFullYear() - birth.getFullYear();
+    const hadBirthday = today.getMonth() > birth.getMonth() ||
+        (today.getMonth() === birth.getMonth() && today.getDate() >= birth.getDate());
+    if (!hadBirthday) age--;
+    return age;
+}
+
+/**
+ * Work out the current semester of a programme
+ * @param {Object} entry - Education entry with start, end and semesterMonths
+ * @param {Date} today - Reference date
+ * @returns {{number: number, end: string}|null} Semester number and its last month ("2026-06"),
+ *          or null before the start or after the end
+ */
+function getCurrentSemester(entry, today = new Date()) {
+    if (!entry.start || !entry.end || !entry.semesterMonths) return null;
+
+    const start = parseProfileDate(entry.start);
+    const end = parseProfileDate(entry.end);
+    const months = (today.getFullYear() - start.getFullYear()) * 12 + today.getMonth() - start.getMonth();
+    const finished = today >= new Date(end.getFullYear(), end.getMonth() + 1, 1);
+    if (months < 0 || finished) return null;
+
+    const number = Math.floor(months / entry.semesterMonths) + 1;
+    const last = new Date(start.getFullYear(), start.getMonth() + number * entry.semesterMonths - 1, 1);
+    return { number, end: `${last.getFullYear()}-${String(last.getMonth() + 1).padStart(2, '0')}` };
+}
+
+/**
+ * Format an ordinal such as "4th" (or "৪র্থ") for the active locale
+ * @param {number} value - Whole number
+ * @returns {string} Ordinal text
+ */
+function formatOrdinal(value) {
+    const fallbacks = { one: '{count}st', two: '{count}nd', few: '{count}rd', other: '{count}th' };
+    const form = new Intl.PluralRules(getLocaleConfig(currentLocale).intl, { type: 'ordinal' }).select(value);
+    return t(`ordinal.${form}`, fallbacks[form] || fallbacks.other, { count: value });
+}
+
+/**
+ * Build the HTML for a dated info-card item
+ * @param {string} heading - Title line
+ * @param {string} place - Organization shown after the "@"
+ * @param {string} start - Start month
+ * @param {string|null} end - End month, or null for "Present"
+ * @returns {string} .info-item markup
+ */
+function createInfoItem(heading, place, start, end) {
+    return `
+        <div class="info-item">
+            <h4>${escapeHTML(heading)}</h4>
+            <p class="role-location">@ <span>${escapeHTML(place)}</span></p>
+            <p class="date">${escapeHTML(formatMonthRange(`${start}/${end || ''}`))}</p>
+        </div>`;
+}
+
+/**
+ * Render the loaded profile into the hero, badge, intro and info grid
+ * Replaces the static fallback text in index.html, which stays if profile.json fails to load
+ * Safe to call again, e.g. after the language changes
+ */
+function renderProfile() {
+    if (!profile) return;
+
+    // The fallback's data-i18n keys would otherwise overwrite the profile on the next applyTranslations()
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.textContent = text;
+        el.removeAttribute('data-i18n');
+        el.removeAttribute('data-i18n-date');
+    };
+
+    // Hero: name split over the two headline lines, plus the age
+    const [firstName, ...otherNames] = profile.name.split(' ');
+    setText('hero-first-name', firstName);
+    setText('hero-last-name', otherNames.join(' '));
+    setText('hero-age', profile.birthDate ? formatNumber(getAge(profile.birthDate)) : '');
+
+    // ID badge
+    setText('profile-name', profile.name);
+    setText('profile-birth-date', profile.birthDate
+        ? formatDate(profile.birthDate, { day: 'numeric', month: 'long', year: 'numeric' })
+        : '');
+    setText('profile-location', localizeValue(profile.location) || '');
+    setText('profile-pronouns', localizeValue(profile.pronouns) || '');
+    setText('profile-role', localizeValue(profile.role) || '');
+
+    const photo = document.querySelector('.badge-photo-wrap img');
+    if (photo && profile.photo) {
+        if (photo.dataset.original !== profile.photo) setResponsiveImage(photo, profile.photo, 'badge');
+        photo.alt = profile.name;
+    }
+
+    // Intro: current semester of the first programme with semester dates
+    const semesterEl = document.getElementById('profile-semester');
+    const programme = profile.education.find(entry => entry.semesterMonths);
+    if (semesterEl) {
+        const semester = programme && getCurrentSemester(programme);
+        const monthYear = { month: 'long', year: 'numeric' };
+
+        if (semester) {
+            semesterEl.innerHTML = t('about.intro.semester',
+                'Currently in my <strong>{semester} Semester</strong> (ending {end}), I aim to create digital experiences that foster accessibility and connection.',
+                { semester: escapeHTML(formatOrdinal(semester.number)), end: escapeHTML(formatDate(semester.end, monthYear)) });
+            semesterEl.removeAttribute('data-i18n');
+        } else if (programme && programme.end && new Date() >= parseProfileDate(programme.start)) {
+            semesterEl.innerHTML = t('about.intro.graduated',
+                'I graduated in {end}, and I aim to create digital experiences that foster accessibility and connection.',
+                { end: escapeHTML(formatDate(programme.end, monthYear)) });
+            semesterEl.removeAttribute('data-i18n');
+        }
+    }
+
+    // Info grid cards
+    const separator = '<div class="separator"></div>';
+
+    const experiences = document.getElementById('profile-experiences');
+    if (experiences) {
+        experiences.innerHTML = profile.experiences.map(entry => createInfoItem(
+            localizeValue(entry.title), localizeValue(entry.organization), entry.start, entry.end
+        )).join(separator);
+    }
+
+    const education = document.getElementById('profile-education');
+    if (education) {
+        education.innerHTML = profile.education.map(entry => createInfoItem(
+            localizeValue(entry.degree), localizeValue(entry.institution), entry.start, entry.end
+        )).join(separator);
+    }
+
+    const toolkit = document.getElementById('profile-toolkit');
+    if (toolkit) {
+        const groups = [
+            { key: 'about.toolkit.skills', label: 'Skills', items: localizeValue(profile.skills) },
+            { key: 'about.toolkit.tools', label: 'Tools', items: localizeValue(profile.tools) }
+        ].filter(group => group.items.length);
+
+        toolkit.innerHTML = groups.map(group => `
+            <div class="toolkit-item">
+                <h5>${escapeHTML(t(group.key, group.label))}</h5>
+                <p>${escapeHTML(group.items.join(', '))}</p>
+            </div>`).join(separator);
+    }
+
+    // The CV view's printable résumé, once that view is mounted
+    renderResume();
+}
+
+/**
+ * Normalize profile.json, filling in empty lists
+ * @param {Object} data - Raw profile
+ * @returns {Object} Profile ready to render
+ */
+function normalizeProfile(data) {
+    return {
+        ...data,
+        name: data.name || '',
+        experiences: Array.isArray(data.experiences) ? data.experiences : [],
+        education: Array.isArray(data.education) ? data.education : [],
+        skills: data.skills || [],
+        tools: data.tools || []
+    };
+}
+
+/**
+ * Fetch profile.json and render it
+ * Never rejects - on failure the static fallback in index.html stays
+ * @returns {Promise<void>} Resolves once the profile is rendered or the error is logged
+ */
+function loadProfile() {
+    return fetch(PROFILE_URL)
+        .then(response => {
+            if (!response.ok) throw new Error(`Profile request failed (${response.status})`);
+            return response.json();
+        })
+        .then(data => {
+            profile = normalizeProfile(data);
+            renderProfile();
+        })
+        .catch(error => {
+            console.error('Failed to load profile:', error);
+        });
+}
+
+// Dates, ordinals and per-locale values change with the language
+onLocaleChange(renderProfile);
+
+/* ============================================================================
+   PROJECTS DATA
+   ============================================================================
+   Loads the projects manifest and renders the slider cards from it
+   - projects.json: title, slug, cover, description, body, role, tools, tags,
+     gallery, links, date, featured
+   - Loading, empty and error states are shown in #projects-status
+   ============================================================================ */
+
+// Projects manifest, relative to index.html
+const PROJECTS_MANIFEST_URL = 'projects.json';
+
+// Projects from the manifest, in slider order
+let projects = [];
+
+// Message shown in #projects-status: 'loading', 'empty', 'error' or null
+let projectsStatus = null;
+
+/**
+ * Escape text for safe use inside HTML markup
+ * @param {*} value - Text to escape
+ * @returns {string} HTML-safe string
+ */
+function escapeHTML(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value).replace(/[&<>"']/g, char => entities[char]);
+}
+
+/**
+ * Whether a link from fetched data is safe to put in an href
+ * Relative URLs resolve against the page; javascript:, data: and the like are refused
+ * @param {*} url - Link from projects.json or a feed
+ * @returns {boolean} True for http: and https: URLs
+ */
+function isWebUrl(url) {
+    if (typeof url !== 'string' || !url) return false;
+    try {
+        return ['http:', 'https:'].includes(new URL(url, document.baseURI).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Normalize a manifest entry, dropping entries without the required fields
+ * @param {Object} entry - Raw project from projects.json
+ * @returns {Object|null} Project with defaults filled in, or null if unusable
+ */
+function normalizeProject(entry) {
+    if (!entry || !entry.title || !entry.slug || !entry.cover) return null;
+
+    return {
+        title: entry.title,
+        slug: entry.slug,
+        cover: entry.cover,
+        description: entry.description || '',
+        body: [].concat(entry.body || entry.description || []).filter(Boolean),
+        role: entry.role || '',
+        tools: Array.isArray(entry.tools) ? entry.tools : [],
+        tags: Array.isArray(entry.tags) ? entry.tags : [],
+        gallery: Array.isArray(entry.gallery) ? entry.gallery : [],
+        links: (Array.isArray(entry.links) ? entry.links : [])
+            .map(link => typeof link === 'string' ? { label: link, url: link } : link)
+            .filter(link => link && isWebUrl(link.url)),
+        date: entry.date || null,
+        featured: !!entry.featured
+    };
+}
+
+/**
+ * Accessible name of a card's case-study link
+ * @param {string} title - Project title
+ * @returns {string} Label such as "Open Ocean Vortex case study"
+ */
+function getProjectCardLabel(title) {
+    return t('projects.openCaseStudy', 'Open {title} case study', { title });
+}
+
+/**
+ * Build a slider card for a project
+ * @param {Object} project - Normalized project
+ * @returns {HTMLElement} The .project-slide-item card
+ */
+function createProjectCard(project) {
+    const card = document.createElement('div');
+    card.className = 'project-slide-item hover-target';
+    card.dataset.slug = project.slug;
+    if (project.featured) card.classList.add('featured');
+
+    const tags = project.tags.map(tag => `<span class="p-tag">${escapeHTML(tag)}</span>`).join('');
+
+    card.innerHTML = `
+        <div class="project-card-inner">
+            <img data-slot="card" alt="${escapeHTML(project.title)}">
+            <div class="project-card-overlay">
+                <div class="project-card-info">
+                    <h3 class="project-card-title">${escapeHTML(project.title)}</h3>
+                    <p class="project-card-desc">${escapeHTML(project.description)}</p>
+                    <div class="project-card-tags">${tags}</div>
+                </div>
+                <a class="project-card-arrow" href="#projects/${encodeURIComponent(project.slug)}"
+                    aria-label="${escapeHTML(getProjectCardLabel(project.title))}">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <path d="M7 17L17 7M17 7H7M17 7V17" />
+                    </svg>
+                </a>
+            </div>
+        </div>`;
+
+    setResponsiveImage(card.querySelector('img'), project.cover);
+    return card;
+}
+
+/**
+ * Show a message in place of the slider, or hide it
+ * The error message gets a button that reloads the manifest
+ * @param {string|null} state - 'loading', 'empty', 'error', or null to hide the status
+ */
+function setProjectsStatus(state) {
+    projectsStatus = state;
+
+    const status = document.getElementById('projects-status');
+    if (!status) return;
+
+    const messages = {
+        loading: t('projects.loading', 'Loading projects…'),
+        empty: t('projects.empty', 'No projects to show yet. Check back soon!'),
+        error: t('projects.error', "Couldn't load projects right now.")
+    };
+    status.hidden = !state;
+    status.textContent = state ? messages[state] : '';
+
+    if (state === 'error') {
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'projects-retry hover-target';
+        retryBtn.textContent = t('projects.retry', 'Try Again');
+        retryBtn.addEventListener('click', () => loadProjects());
+        status.appendChild(retryBtn);
+    }
+}
+
+/**
+ * Render the slider cards and (re)initialize the slider
+ * Starts on the first featured project
+ * @param {Object[]} list - Normalized projects
+ */
+function renderProjects(list) {
+    const track = document.getElementById('projects-track');
+    const nav = document.querySelector('.works-nav');
+    const dots = document.getElementById('projects-dots');
+    if (!track) return;
+
+    teardownProjectsSlider();
+    track.innerHTML = '';
+    if (nav) nav.hidden = !list.length;
+    if (dots) dots.hidden = !list.length;
+
+    if (!list.length) {
+        setProjectsStatus('empty');
+        return;
+    }
+
+    list.forEach(project => track.appendChild(createProjectCard(project)));
+    setProjectsStatus(null);
+
+    currentProjectIndex = Math.max(list.findIndex(project => project.featured), 0);
+
+    // Otherwise the view's onEnter builds the slider when it is shown
+    if (activeViewId === 'projects') initProjectsSlider();
+}
+
+/**
+ * Fetch the projects manifest and render it
+ * Never rejects - failures are shown as an error state with a retry button
+ * @returns {Promise<void>} Resolves once the slider is rendered or the error is shown
+ */
+function loadProjects() {
+    setProjectsStatus('loading');
+
+    return fetch(PROJECTS_MANIFEST_URL)
+        .then(response => {
+            if (!response.ok) throw new Error(`Manifest request failed (${response.status})`);
+            return response.json();
+        })
+        .then(data => {
+            if (!Array.isArray(data)) throw new Error('Manifest must be an array of projects');
+            projects = data.map(normalizeProject).filter(Boolean);
+            renderProjects(projects);
+        })
+        .catch(error => {
+            console.error('Failed to load projects:', error);
+            projects = [];
+            renderProjects(projects);
+            setProjectsStatus('error');
+        });
+}
+
+// Re-word the status message and card links in the new language
+onLocaleChange(() => {
+    setProjectsStatus(projectsStatus);
+    document.querySelectorAll('.project-slide-item').forEach(card => {
+        const title = card.querySelector('.project-card-title');
+        const arrow = card.querySelector('.project-card-arrow');
+        if (title && arrow) arrow.setAttribute('aria-label', getProjectCardLabel(title.textContent));
+    });
+});
+
+/* ============================================================================
+   PROJECTS SLIDER SYSTEM
+   ============================================================================
+   Handles horizontal sliding for the redesigned My Works section
+   - Smooth track movement
+   - Button, arrow key and pagination dot navigation
+   - Pointer drag that follows the finger, with momentum and snapping
+   - Optional loop and autoplay (paused on hover and focus)
+   - Slide width and gap measured from CSS
+   - Each init tears down the listeners of the previous one
+   ============================================================================ */
+
+// loop: wrap around at either end; autoplay: ms between slides (0 = off)
+const projectsSliderConfig = { loop: false, autoplay: 0 };
+
+let currentProjectIndex = 0;
+
+// Re-positions the slider at currentProjectIndex; replaced on every init
+let updateProjectsSlider = () => { };
+
+/**
+ * Stand-in for the slider's goTo while it isn't running: remembers the card to start at
+ * @param {number} index - Slide index
+ */
+function rememberProjectIndex(index) {
+    currentProjectIndex = Math.max(0, Math.min(index, projects.length - 1));
+}
+
+// Moves the slider to a card, as goTo(index, via); replaced on every init
+let moveProjectsSlider = rememberProjectIndex;
+
+// Removes the listeners and timers of the current slider instance
+let teardownProjectsSlider = () => { };
+
+// Pixels a pointer must travel before it counts as a drag instead of a click
+const SLIDER_DRAG_THRESHOLD = 6;
+
+// How far (in seconds of travel) release velocity carries the track
+const SLIDER_MOMENTUM = 0.25;
+
+/**
+ * Label a pagination dot, e.g. "Go to project 2 of 5"
+ * @param {number} index - Slide index
+ * @param {number} count - Number of slides
+ * @returns {string} Accessible name for the dot
+ */
+function getProjectDotLabel(index, count) {
+    return t('projects.dot', 'Go to project {index} of {count}', { index: index + 1, count });
+}
+
+/**
+ * Measure the distance between the start of two neighbouring slides
+ * @param {HTMLElement} track - The flex track
+ * @param {NodeList} slides - The slide elements
+ * @returns {number} Slide width plus the track's CSS gap
+ */
+function getSlideStep(track, slides) {
+    const style = getComputedStyle(track);
+    const gap = parseFloat(style.columnGap || style.gap) || 0;
+    return slides[0].offsetWidth + gap;
+}
+
+function initProjectsSlider() {
+    teardownProjectsSlider();
+
+    const container = document.querySelector('.projects-slider-container');
+    const track = document.getElementById('projects-track');
+    const slides = document.querySelectorAll('.project-slide-item');
+    const prevBtn = document.getElementById('projects-prev');
+    const nextBtn = document.getElementById('projects-next');
+    const dotsEl = document.getElementById('projects-dots');
+
+    if (!track || !slides.length) return;
+
+    // Every listener below is removed in one go by the teardown
+    const listeners = new AbortController();
+    const on = (target, type, handler, options) => {
+        if (target) target.addEventListener(type, handler, { ...options, signal: listeners.signal });
+    };
+
+    const lastIndex = slides.length - 1;
+    const loop = projectsSliderConfig.loop && slides.length > 1;
+
+    // Keep the index valid if the manifest changed size
+    currentProjectIndex = Math.min(currentProjectIndex, lastIndex);
+
+    // Build one pagination dot per slide
+    let dots = [];
+    if (dotsEl) {
+        dotsEl.innerHTML = '';
+        dotsEl.hidden = slides.length < 2;
+        dots = Array.from(slides, (slide, index) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'projects-dot hover-target';
+            dot.setAttribute('aria-label', getProjectDotLabel(index, slides.length));
+            dot.addEventListener('click', () => goTo(index, 'dot'));
+            dotsEl.appendChild(dot);
+            return dot;
+        });
+    }
+
+    const getOffset = index => -index * getSlideStep(track, slides);
+
+    // snap: jump straight to the slide instead of easing (used on resize)
+    const updateSlider = (snap = false) => {
+        if (snap) {
+            gsap.set(track, { x: getOffset(currentProjectIndex), overwrite: true });
+        } else {
+            gsap.to(track, {
+                x: getOffset(currentProjectIndex),
+                duration: motionDuration(1),
+                ease: "expo.out",
+                overwrite: true
+            });
+        }
+
+        // Update active class for visual feedback
+        slides.forEach((slide, index) => {
+            slide.classList.toggle('active', index === currentProjectIndex);
+        });
+
+        dots.forEach((dot, index) => {
+            if (index === currentProjectIndex) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+
+        // Disable/Enable buttons based on position (never at the ends when looping)
+        const atStart = !loop && currentProjectIndex === 0;
+        const atEnd = !loop && currentProjectIndex === lastIndex;
+        prevBtn.style.opacity = atStart ? '0.2' : '1';
+        prevBtn.style.pointerEvents = atStart ? 'none' : 'auto';
+        nextBtn.style.opacity = atEnd ? '0.2' : '1';
+        nextBtn.style.pointerEvents = atEnd ? 'none' : 'auto';
+    };
+
+    /**
+     * Move to a slide, wrapping or clamping depending on the loop option
+     * @param {number} index - Target slide index (may be out of range)
+     * @param {string} via - Input that moved it (arrow, dot, key, drag, api), omitted for autoplay
      */
-    const badgePhoto = document.querySelector(".badge-photo-wrap img");
-    if (badgePhoto) {
-        gsap.from(badgePhoto, {
-            scale: 0.9,
-            opacity: 0.5,
-            duration: 0.7,
-            ease: "power2.out",
-            delay: 0.2
+    function goTo(index, via) {
+        const previousIndex = currentProjectIndex;
+        if (loop) {
+            currentProjectIndex = (index + slides.length) % slides.length;
+        } else {
+            currentProjectIndex = Math.max(0, Math.min(index, lastIndex));
+        }
+        updateSlider();
+
+        if (currentProjectIndex === previousIndex) return;
+        if (via) trackEvent('slider_move', { project: projects[currentProjectIndex].slug, via });
+        emitPortfolioEvent('slidechange', {
+            index: currentProjectIndex,
+            from: previousIndex,
+            project: projects[currentProjectIndex].slug,
+            via: via || 'autoplay'
+        });
+    }
+
+    on(nextBtn, 'click', () => goTo(currentProjectIndex + 1, 'arrow'));
+    on(prevBtn, 'click', () => goTo(currentProjectIndex - 1, 'arrow'));
+
+    // Arrow keys while the slider (or a card inside it) has focus
+    on(container, 'keydown', (e) => {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        e.preventDefault();
+        goTo(currentProjectIndex + (e.key === 'ArrowRight' ? 1 : -1), 'key');
+    });
+
+    // Pointer drag: the track follows the pointer, then snaps with momentum
+    let drag = null;
+    let suppressClick = false;
+
+    on(track, 'pointerdown', (e) => {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        gsap.killTweensOf(track);
+        drag = {
+            id: e.pointerId,
+            startX: e.clientX,
+            originX: gsap.getProperty(track, 'x'),
+            lastX: e.clientX,
+            lastTime: performance.now(),
+            velocity: 0,
+            moved: false
+        };
+        pauseAutoplay();
+    });
+
+    on(track, 'pointermove', (e) => {
+        if (!drag || e.pointerId !== drag.id) return;
+
+        const dx = e.clientX - drag.startX;
+        if (!drag.moved) {
+            if (Math.abs(dx) < SLIDER_DRAG_THRESHOLD) return;
+            drag.moved = true;
+            track.classList.add('is-dragging');
+            track.setPointerCapture(e.pointerId);
+        }
+
+        // Smoothed velocity in px per second
+        const now = performance.now();
+        const elapsed = Math.max(now - drag.lastTime, 1);
+        drag.velocity = drag.velocity * 0.2 + ((e.clientX - drag.lastX) / elapsed) * 1000 * 0.8;
+        drag.lastX = e.clientX;
+        drag.lastTime = now;
+
+        // Resist dragging past the first and last slide
+        let x = drag.originX + dx;
+        const minX = getOffset(lastIndex);
+        if (!loop && x > 0) x *= 0.35;
+        if (!loop && x < minX) x = minX + (x - minX) * 0.35;
+        gsap.set(track, { x });
+    });
+
+    const endDrag = (e) => {
+        if (!drag || e.pointerId !== drag.id) return;
+        const { moved, velocity, lastTime } = drag;
+        drag = null;
+        track.classList.remove('is-dragging');
+        resumeAutoplay();
+
+        if (!moved) return;
+        suppressClick = true;
+
+        // Project where momentum would carry the track (at most one slide) and snap there
+        const step = getSlideStep(track, slides);
+        const fresh = performance.now() - lastTime < 100 ? velocity : 0;
+        const momentum = gsap.utils.clamp(-step, step, fresh * SLIDER_MOMENTUM);
+        let index = Math.round(-(gsap.getProperty(track, 'x') + momentum) / step);
+
+        // A fling always moves at least one slide
+        if (index === currentProjectIndex && Math.abs(fresh) > 300) {
+            index += fresh < 0 ? 1 : -1;
+        }
+        goTo(index, 'drag');
+    };
+
+    on(track, 'pointerup', endDrag);
+    on(track, 'pointercancel', endDrag);
+
+    // A drag should not also count as a click on the card underneath
+    on(track, 'click', (e) => {
+        if (!suppressClick) return;
+        suppressClick = false;
+        e.preventDefault();
+        e.stopPropagation();
+    }, { capture: true });
+
+    on(track, 'dragstart', (e) => e.preventDefault());
+
+    // Clicking a card (or its arrow link) opens the case study
+    on(track, 'click', (e) => {
+        const card = e.target.closest('.project-slide-item');
+        if (!card) return;
+        e.preventDefault();
+        openProject(Array.prototype.indexOf.call(slides, card));
+    });
+
+    // Autoplay advances on a timer, paused on hover/focus and when not visible
+    let autoplayTimer = null;
+    let autoplayPaused = false;
+
+    function pauseAutoplay() {
+        autoplayPaused = true;
+    }
+
+    function resumeAutoplay() {
+        autoplayPaused = container ? container.matches(':hover, :focus-within') : false;
+    }
+
+    if (projectsSliderConfig.autoplay > 0 && slides.length > 1) {
+        autoplayTimer = setInterval(() => {
+            const view = document.getElementById('view-projects');
+            if (autoplayPaused || drag || document.hidden || isReducedMotion()) return;
+            if (view && !view.classList.contains('active')) return;
+
+            // Without the loop option autoplay still starts over after the last slide
+            goTo(currentProjectIndex === lastIndex ? 0 : currentProjectIndex + 1);
+        }, projectsSliderConfig.autoplay);
+
+        on(container, 'mouseenter', pauseAutoplay);
+        on(container, 'mouseleave', resumeAutoplay);
+        on(container, 'focusin', pauseAutoplay);
+        on(container, 'focusout', (e) => {
+            if (!container.contains(e.relatedTarget)) resumeAutoplay();
+        });
+    }
+
+    teardownProjectsSlider = () => {
+        listeners.abort();
+        clearInterval(autoplayTimer);
+        gsap.killTweensOf(track);
+        track.classList.remove('is-dragging');
+        updateProjectsSlider = () => { };
+        moveProjectsSlider = rememberProjectIndex;
+        teardownProjectsSlider = () => { };
+    };
+
+    // Initial update
+    updateProjectsSlider = updateSlider;
+    moveProjectsSlider = goTo;
+    updateSlider();
+}
+
+// Re-label the pagination dots in the new language
+onLocaleChange(() => {
+    const dots = document.querySelectorAll('#projects-dots .projects-dot');
+    dots.forEach((dot, index) => dot.setAttribute('aria-label', getProjectDotLabel(index, dots.length)));
+});
+
+/* ============================================================================
+   PROJECT DETAIL VIEW
+   ============================================================================
+   Case study page for one project at #projects/<slug>
+   - Hero image, long-form text, role, tools, tags, gallery and links
+   - Previous/next project navigation (wraps around)
+   - Closing returns to the slider, positioned on the project last viewed
+   ============================================================================ */
+
+// Whether opening pushed a history entry, so closing can step back over it
+let projectDetailPushedEntry = false;
+
+/**
+ * Open a project's case study from the slider
+ * @param {number} index - Index into the projects list
+ */
+function openProject(index) {
+    const project = projects[index];
+    if (!project) return;
+
+    projectDetailPushedEntry = currentRoute && currentRoute.view === 'projects';
+    trackEvent('project_open', { project: project.slug });
+    navigate(`projects/${encodeURIComponent(project.slug)}`);
+}
+
+/**
+ * Fill one meta row, hiding it when there is nothing to show
+ * @param {string} id - Base id of the row (project-detail-<id>)
+ * @param {string} text - Row value
+ */
+function setProjectMeta(id, text) {
+    const row = document.getElementById(`project-detail-${id}-row`);
+    const value = document.getElementById(`project-detail-${id}`);
+    if (value) value.textContent = text;
+    if (row) row.hidden = !text;
+}
+
+/**
+ * Point a prev/next pager link at a project
+ * @param {string} id - Element id of the link
+ * @param {Object} project - Normalized project
+ */
+function setProjectPagerLink(id, project) {
+    const link = document.getElementById(id);
+    if (!link) return;
+
+    link.hidden = !project;
+    if (!project) return;
+
+    link.href = `#projects/${encodeURIComponent(project.slug)}`;
+    link.querySelector('.project-detail-pager-title').textContent = project.title;
+}
+
+/**
+ * Render the case study for a project
+ * @param {number} index - Index into the projects list
+ */
+function renderProjectDetail(index) {
+    const project = projects[index];
+    if (!project) return;
+
+    // Keep the slider on this project for when the visitor goes back
+    focusProject(index);
+
+    const hero = document.getElementById('project-detail-hero');
+    setResponsiveImage(hero, project.cover, 'hero');
+    hero.alt = project.title;
+
+    document.getElementById('project-detail-title').textContent = project.title;
+    document.getElementById('project-detail-summary').textContent = project.description;
+    document.getElementById('project-detail-counter').textContent =
+        `${String(index + 1).padStart(2, '0')} / ${String(projects.length).padStart(2, '0')}`;
+
+    document.getElementById('project-detail-body').innerHTML =
+        project.body.map(paragraph => `<p>${escapeHTML(paragraph)}</p>`).join('');
+
+    setProjectMeta('role', project.role);
+    setProjectMeta('tools', project.tools.join(', '));
+    setProjectMeta('date', project.date ? String(new Date(project.date).getFullYear()) : '');
+
+    document.getElementById('project-detail-tags').innerHTML =
+        project.tags.map(tag => `<span class="p-tag">${escapeHTML(tag)}</span>`).join('');
+
+    const gallery = document.getElementById('project-detail-gallery');
+    gallery.hidden = !project.gallery.length;
+    gallery.innerHTML = project.gallery.map((src, i) =>
+        `<img data-slot="detail" alt="${escapeHTML(`${project.title}, image ${i + 2}`)}" loading="lazy">`
+    ).join('');
+    gallery.querySelectorAll('img').forEach((img, i) => setResponsiveImage(img, project.gallery[i]));
+
+    const links = document.getElementById('project-detail-links');
+    links.hidden = !project.links.length;
+    links.innerHTML = project.links.map(link => `
+        <li>
+            <a class="project-detail-link hover-target" href="${escapeHTML(link.url)}" target="_blank" rel="noopener">
+                ${escapeHTML(link.label || link.url)}
+            </a>
+        </li>`).join('');
+
+    // Neighbours wrap around; a single project has none
+    const hasNeighbours = projects.length > 1;
+    setProjectPagerLink('project-detail-prev', hasNeighbours && projects[(index - 1 + projects.length) % projects.length]);
+    setProjectPagerLink('project-detail-next', hasNeighbours && projects[(index + 1) % projects.length]);
+}
+
+/**
+ * Close the case study and return to the slider
+ * Steps back over the entry we pushed, or replaces a deep-linked entry
+ */
+function closeProjectDetail() {
+    if (projectDetailPushedEntry) {
+        window.history.back();
+    } else {
+        navigate('projects', { replace: true });
+    }
+}
+
+// Prev/next replace the current entry so Back still leads to the slider
+document.querySelectorAll('.project-detail-pager a').forEach(link => {
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        navigate(link.getAttribute('href').slice(1), { replace: true });
+    });
+});
+
+/* ============================================================================
+   CV VIEW
+   ============================================================================
+   EuroPass CV at #cv, plus a print-ready HTML résumé
+   - PDF.js is loaded from the CDN on the first visit only
+   - Page navigation and zoom (100% fits the page to the viewer's width)
+   - Arrow keys turn pages, +/- zoom while the page has focus
+   - Falls back to an "open the PDF" link when it can't be rendered here
+   - The résumé is built from profile.json, so Print gives a clean
+     one- or two-page document (see the print styles in style.css)
+   ============================================================================ */
+
+/**
+ * Viewer configuration
+ * pdfjs/worker: PDF.js 3.x UMD builds (they expose window.pdfjsLib)
+ */
+const CV_CONFIG = {
+    url: 'EuroPassCV.pdf',
+    pdfjs: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    worker: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+    minZoom: 0.5,
+    maxZoom: 3,
+    zoomStep: 0.25
+};
+
+/**
+ * Viewer state
+ * - pdf: loaded PDF.js document, null until it opens
+ * - page: 1-based page number; zoom: 1 = fit to width
+ * - task: page render in progress; request: id of the latest render request
+ */
+const cvViewer = { pdf: null, page: 1, zoom: 1, task: null, request: 0 };
+
+// Shared PDF.js loader, reset on failure so a later visit can retry
+let pdfJsPromise = null;
+
+/**
+ * Load PDF.js from the CDN once
+ * @returns {Promise<Object>} Resolves with window.pdfjsLib
+ */
+function loadPdfJs() {
+    if (window.pdfjsLib) return Promise.resolve(window.pdfjsLib);
+
+    if (!pdfJsPromise) {
+        pdfJsPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = CV_CONFIG.pdfjs;
+            script.onload = () => (window.pdfjsLib ? resolve(window.pdfjsLib) : reject(new Error('PDF.js did not start')));
+            script.onerror = () => reject(new Error('PDF.js failed to load'));
+            document.head.appendChild(script);
+        }).then(lib => {
+            lib.GlobalWorkerOptions.workerSrc = CV_CONFIG.worker;
+            return lib;
+        });
+        pdfJsPromise.catch(() => { pdfJsPromise = null; });
+    }
+    return pdfJsPromise;
+}
+
+/**
+ * Show a line of viewer status ("Loading CV…"), or clear it
+ * @param {string} text - Status text
+ */
+function setCvStatus(text) {
+    const status = document.getElementById('cv-status');
+    if (!status) return;
+    status.textContent = text;
+    status.hidden = !text;
+}
+
+/**
+ * Swap the viewer for the "open the PDF" link
+ */
+function showCvFallback() {
+    const viewer = document.getElementById('cv-viewer');
+    const fallback = document.getElementById('cv-fallback');
+    if (viewer) viewer.hidden = true;
+    if (fallback) fallback.hidden = false;
+}
+
+/**
+ * Sync the page/zoom read-outs and the enabled state of the tools
+ */
+function updateCvToolbar() {
+    const { pdf, page, zoom } = cvViewer;
+    const count = pdf ? pdf.numPages : 0;
+    const setDisabled = (id, disabled) => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = disabled;
+    };
+
+    const pageStatus = document.getElementById('cv-page-status');
+    if (pageStatus) pageStatus.textContent = count ? t('cv.pageStatus', 'Page {page} of {count}', { page, count }) : '';
+
+    const zoomStatus = document.getElementById('cv-zoom-status');
+    if (zoomStatus) zoomStatus.textContent = `${formatNumber(Math.round(zoom * 100))}%`;
+
+    setDisabled('cv-prev', !count || page <= 1);
+    setDisabled('cv-next', !count || page >= count);
+    setDisabled('cv-zoom-out', !count || zoom <= CV_CONFIG.minZoom);
+    setDisabled('cv-zoom-in', !count || zoom >= CV_CONFIG.maxZoom);
+}
+
+/**
+ * Draw the current page at the current zoom
+ * A newer request cancels the render still in progress
+ * @returns {Promise<void>} Resolves once drawn (or superseded)
+ */
+function renderCvPage() {
+    const { pdf } = cvViewer;
+    const container = document.getElementById('cv-page');
+    const canvas = document.getElementById('cv-canvas');
+    if (!pdf || !container || !canvas) return Promise.resolve();
+
+    const request = ++cvViewer.request;
+    if (cvViewer.task) cvViewer.task.cancel();
+    updateCvToolbar();
+
+    return pdf.getPage(cvViewer.page).then(page => {
+        if (request !== cvViewer.request) return;
+
+        // 100% zoom fits the page to the viewer; the canvas is sized for sharp text on HiDPI screens
+        const unscaled = page.getViewport({ scale: 1 });
+        const fit = (container.clientWidth || unscaled.width) / unscaled.width;
+        const viewport = page.getViewport({ scale: fit * cvViewer.zoom });
+        const ratio = window.devicePixelRatio || 1;
+
+        canvas.width = Math.floor(viewport.width * ratio);
+        canvas.height = Math.floor(viewport.height * ratio);
+        canvas.style.width = `${Math.floor(viewport.width)}px`;
+        canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+        const task = page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+        });
+        cvViewer.task = task;
+
+        return task.promise.then(() => {
+            if (cvViewer.task === task) cvViewer.task = null;
+        }, error => {
+            // Superseded by a newer page or zoom
+            if (error && error.name === 'RenderingCancelledException') return;
+            throw error;
+        });
+    }).catch(error => {
+        console.error('Failed to draw the CV page:', error);
+        showCvFallback();
+    });
+}
+
+/**
+ * Turn to a page
+ * @param {number} page - 1-based page number (clamped)
+ */
+function goToCvPage(page) {
+    if (!cvViewer.pdf) return;
+    const next = Math.max(1, Math.min(page, cvViewer.pdf.numPages));
+    if (next === cvViewer.page) return;
+    cvViewer.page = next;
+    renderCvPage();
+}
+
+/**
+ * Change the zoom by a number of steps
+ * @param {number} steps - Positive to zoom in, negative to zoom out
+ */
+function zoomCv(steps) {
+    if (!cvViewer.pdf) return;
+    const zoom = gsap.utils.clamp(CV_CONFIG.minZoom, CV_CONFIG.maxZoom, cvViewer.zoom + steps * CV_CONFIG.zoomStep);
+    if (zoom === cvViewer.zoom) return;
+    cvViewer.zoom = zoom;
+    renderCvPage();
+}
+
+/**
+ * Load PDF.js and open the CV
+ * Never rejects - anything that goes wrong shows the fallback link
+ * @returns {Promise<void>} Resolves once the first page is drawn or the fallback is shown
+ */
+function openCvDocument() {
+    const canvas = document.getElementById('cv-canvas');
+    if (!canvas || !canvas.getContext || !canvas.getContext('2d')) {
+        showCvFallback();
+        return Promise.resolve();
+    }
+
+    setCvStatus(t('cv.loading', 'Loading CV…'));
+    updateCvToolbar();
+
+    // One whole-file request rather than ranges, so the service worker's cached copy can answer it
+    return loadPdfJs()
+        .then(lib => lib.getDocument({ url: CV_CONFIG.url, disableRange: true }).promise)
+        .then(pdf => {
+            cvViewer.pdf = pdf;
+            cvViewer.page = 1;
+            setCvStatus('');
+            return renderCvPage();
+        })
+        .catch(error => {
+            console.error('Failed to open the CV:', error);
+            setCvStatus('');
+            showCvFallback();
+        });
+}
+
+/**
+ * Print the HTML résumé (the print styles hide everything else)
+ */
+function printResume() {
+    trackEvent('cv_print');
+    window.print();
+}
+
+/**
+ * Shorten a profile URL for print, e.g. "linkedin.com/in/name"
+ * @param {string} url - Full URL
+ * @returns {string} URL without protocol, "www." or trailing slash
+ */
+function formatResumeLink(url) {
+    return url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+}
+
+/**
+ * Render the HTML résumé from the profile
+ * Safe to call again, e.g. after the language changes
+ */
+function renderResume() {
+    const resume = document.getElementById('cv-resume');
+    if (!resume || !profile) return;
+
+    const contact = [
+        profile.email && `<a href="mailto:${escapeHTML(profile.email)}">${escapeHTML(profile.email)}</a>`,
+        ...(profile.sameAs || []).map(url => `<a href="${escapeHTML(url)}">${escapeHTML(formatResumeLink(url))}</a>`)
+    ].filter(Boolean);
+
+    const entry = (heading, place, start, end) => `
+        <li class="cv-resume-entry">
+            <div><strong>${escapeHTML(heading)}</strong>, ${escapeHTML(place)}</div>
+            <span class="cv-resume-date">${escapeHTML(formatMonthRange(`${start}/${end || ''}`))}</span>
+        </li>`;
+
+    const section = (key, fallback, items) => items ? `
+        <section class="cv-resume-section">
+            <h3>${escapeHTML(t(key, fallback))}</h3>
+            ${items}
+        </section>` : '';
+
+    const experiences = profile.experiences.map(item => entry(
+        localizeValue(item.title), localizeValue(item.organization), item.start, item.end
+    )).join('');
+
+    const education = profile.education.map(item => entry(
+        localizeValue(item.degree), localizeValue(item.institution), item.start, item.end
+    )).join('');
+
+    const toolkit = [
+        { key: 'about.toolkit.skills', label: 'Skills', items: localizeValue(profile.skills) },
+        { key: 'about.toolkit.tools', label: 'Tools', items: localizeValue(profile.tools) }
+    ].filter(group => group.items.length).map(group => `
+        <p><strong>${escapeHTML(t(group.key, group.label))}:</strong> ${escapeHTML(group.items.join(', '))}</p>`).join('');
+
+    resume.innerHTML = `
+        <header class="cv-resume-header">
+            <h2>${escapeHTML(profile.name)}</h2>
+            <p>${[localizeValue(profile.role), localizeValue(profile.location)].filter(Boolean).map(escapeHTML).join(' · ')}</p>
+            <p class="cv-resume-contact">${contact.join(' · ')}</p>
+        </header>
+        ${section('about.experiences.title', 'Experiences', experiences && `<ul>${experiences}</ul>`)}
+        ${section('about.education.title', 'Education', education && `<ul>${education}</ul>`)}
+        ${section('about.toolkit.title', 'Toolkit', toolkit)}`;
+}
+
+/**
+ * Wire the viewer once the CV view is mounted (view registry onMount)
+ */
+function initCvViewer() {
+    const bind = (id, handler) => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('click', handler);
+    };
+
+    bind('cv-prev', () => goToCvPage(cvViewer.page - 1));
+    bind('cv-next', () => goToCvPage(cvViewer.page + 1));
+    bind('cv-zoom-out', () => zoomCv(-1));
+    bind('cv-zoom-in', () => zoomCv(1));
+    bind('cv-print', printResume);
+    bind('cv-download', () => trackEvent('cv_download'));
+
+    const page = document.getElementById('cv-page');
+    if (page) {
+        page.addEventListener('keydown', (e) => {
+            const actions = {
+                ArrowLeft: () => goToCvPage(cvViewer.page - 1),
+                ArrowRight: () => goToCvPage(cvViewer.page + 1),
+                PageUp: () => goToCvPage(cvViewer.page - 1),
+                PageDown: () => goToCvPage(cvViewer.page + 1),
+                '+': () => zoomCv(1),
+                '=': () => zoomCv(1),
+                '-': () => zoomCv(-1)
+            };
+            if (!actions[e.key]) return;
+            e.preventDefault();
+            actions[e.key]();
+        });
+    }
+
+    renderResume();
+    openCvDocument();
+}
+
+// The page read-out follows the language (renderProfile re-renders the résumé)
+onLocaleChange(updateCvToolbar);
+
+/* ============================================================================
+   VLOG VIEW
+   ============================================================================
+   Latest videos from the YouTube channel at #vlog
+   - Reads the channel's Atom feed (RSS 2.0 feeds work too) and renders
+     a card per video: thumbnail, title, date and duration
+   - YouTube's feeds can't be read cross-origin, so the site reads a
+     same-origin copy: scripts/prerender.js saves it as vlog.xml when
+     YOUTUBE_CHANNEL_ID is set; scripts/mock-server.js serves fixtures/vlog.xml
+   - Both set window.VLOG_CONFIG.feedUrl; without a feed the view, its nav
+     links, palette entry and shortcut are left out
+   - The last feed that loaded is kept in localStorage, so the grid
+     still renders offline
+   - Videos play in a youtube-nocookie.com embed that is only created
+     when a card is clicked
+   ============================================================================ */
+
+const VLOG_CONFIG = Object.assign({
+    feedUrl: null,
+    embedUrl: 'https://www.youtube-nocookie.com/embed/',
+    limit: 12,
+    storageKey: 'vlog-feed'
+}, window.VLOG_CONFIG);
+
+/**
+ * Whether a feed is configured for the vlog view
+ * @returns {boolean} False when the view should be left out
+ */
+function isVlogEnabled() {
+    return !!VLOG_CONFIG.feedUrl;
+}
+
+// Without a feed, drop the vlog nav links and renumber the mobile menu
+if (!isVlogEnabled()) {
+    document.querySelectorAll('a[href="#vlog"]').forEach(link => link.remove());
+    document.querySelectorAll('.mobile-nav-links .nav-num').forEach((num, index) => {
+        num.textContent = String(index + 1).padStart(2, '0');
+    });
+}
+
+const FEED_NAMESPACES = {
+    media: 'http://search.yahoo.com/mrss/',
+    yt: 'http://www.youtube.com/xml/schemas/2015'
+};
+
+/**
+ * Feed on screen, null until one loads
+ * - channel: { title, url }
+ * - videos: newest first, { id, title, url, published, thumbnail, duration }
+ * - savedAt: set when it came from the localStorage copy
+ */
+let vlogFeed = null;
+
+const vlogPlayer = document.getElementById('vlog-player');
+
+/**
+ * Get a direct child element by its local name
+ * @param {Element} parent - Feed, channel, entry or item
+ * @param {string} name - Local name, e.g. "title"
+ * @returns {Element|undefined}
+ */
+function feedChild(parent, name) {
+    return Array.from(parent.children).find(child => child.localName === name);
+}
+
+/**
+ * Get the text of a direct child element
+ * @param {Element} parent - Feed, channel, entry or item
+ * @param {string} name - Local name
+ * @returns {string} Trimmed text, empty if missing
+ */
+function feedChildText(parent, name) {
+    const child = feedChild(parent, name);
+    return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Get the first descendant in a feed extension namespace (media:, yt:)
+ * @param {Element} parent - Entry or item
+ * @param {string} prefix - Key of FEED_NAMESPACES
+ * @param {string} name - Local name, e.g. "thumbnail"
+ * @returns {Element|null}
+ */
+function feedExtension(parent, prefix, name) {
+    return parent.getElementsByTagNameNS(FEED_NAMESPACES[prefix], name)[0] || null;
+}
+
+/**
+ * Get the page link of a feed or entry (Atom rel="alternate", or RSS <link>)
+ * @param {Element} parent - Feed, channel, entry or item
+ * @returns {string} URL, empty if missing
+ */
+function feedLink(parent) {
+    const atomLink = Array.from(parent.children).find(child => child.localName === 'link'
+        && child.hasAttribute('href') && (child.getAttribute('rel') || 'alternate') === 'alternate');
+    return atomLink ? atomLink.getAttribute('href') : feedChildText(parent, 'link');
+}
+
+/**
+ * Read a YouTube video id from a watch, short or embed URL
+ * @param {string} url - Video URL
+ * @returns {string} Video id, empty if the URL isn't a YouTube video
+ */
+function getYouTubeId(url) {
+    try {
+        const parsed = new URL(url);
+        const match = /^\/(?:shorts|embed|v|live)\/([\w-]+)/.exec(parsed.pathname);
+        if (parsed.hostname === 'youtu.be') return parsed.pathname.slice(1);
+        return parsed.searchParams.get('v') || (match ? match[1] : '');
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Read a duration given in seconds ("742") or ISO 8601 ("PT12M22S")
+ * @param {string|null} value - Raw duration
+ * @returns {number|null} Seconds, null if missing or unreadable
+ */
+function parseDuration(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value)) return Number(value);
+
+    const iso = /^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/.exec(value);
+    return iso ? Number(iso[1] || 0) * 3600 + Number(iso[2] || 0) * 60 + Number(iso[3] || 0) : null;
+}
+
+/**
+ * Format seconds as a video length, e.g. "12:22" or "1:02:05", in the active locale's digits
+ * @param {number} seconds - Duration
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+    const twoDigits = new Intl.NumberFormat(getLocaleConfig(currentLocale).intl, { minimumIntegerDigits: 2 });
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = twoDigits.format(seconds % 60);
+
+    return hours
+        ? `${formatNumber(hours)}:${twoDigits.format(minutes)}:${rest}`
+        : `${formatNumber(minutes)}:${rest}`;
+}
+
+/**
+ * Turn one feed entry into a video
+ * YouTube's own feed has no durations; media:content duration and
+ * yt:duration are used when a feed carries them
+ * @param {Element} entry - Atom <entry> or RSS <item>
+ * @returns {Object|null} Video, or null without a usable video id or with a non-web link
+ */
+function parseVlogEntry(entry) {
+    const link = feedLink(entry);
+    if (link && !isWebUrl(link)) return null;
+
+    const id = feedChildText(entry, 'videoId') || getYouTubeId(link) || getYouTubeId(feedChildText(entry, 'guid'));
+    if (!/^[\w-]+$/.test(id)) return null;
+
+    const thumbnail = feedExtension(entry, 'media', 'thumbnail');
+    const content = feedExtension(entry, 'media', 'content');
+    const ytDuration = feedExtension(entry, 'yt', 'duration');
+    const published = new Date(feedChildText(entry, 'published') || feedChildText(entry, 'pubDate'));
+
+    return {
+        id,
+        title: feedChildText(entry, 'title') || id,
+        url: link || `https://www.youtube.com/watch?v=${id}`,
+        published: Number.isNaN(published.getTime()) ? null : published.toISOString(),
+        thumbnail: thumbnail ? thumbnail.getAttribute('url') : `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+        duration: parseDuration((content && content.getAttribute('duration')) || (ytDuration && ytDuration.getAttribute('seconds')))
+    };
+}
+
+/**
+ * Parse a channel feed
+ * @param {string} xml - Atom or RSS 2.0 document
+ * @returns {{channel: {title: string, url: string}, videos: Object[]}} Feed, videos newest first
+ */
+function parseVlogFeed(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) throw new Error('Feed is not valid XML');
+
+    const root = doc.documentElement;
+    const channel = root.localName === 'feed' ? root : root.localName === 'rss' && feedChild(root, 'channel');
+    if (!channel) throw new Error('Feed is neither Atom nor RSS');
+
+    const videos = Array.from(channel.children)
+        .filter(child => child.localName === 'entry' || child.localName === 'item')
+        .map(parseVlogEntry)
+        .filter(Boolean)
+        .sort((a, b) => (b.published || '').localeCompare(a.published || ''))
+        .slice(0, VLOG_CONFIG.limit);
+
+    return {
+        channel: { title: feedChildText(channel, 'title'), url: isWebUrl(feedLink(channel)) ? feedLink(channel) : '' },
+        videos
+    };
+}
+
+/**
+ * Read the feed saved by the last successful load
+ * @returns {Object|null} Feed with savedAt, or null
+ */
+function readVlogCache() {
+    try {
+        const cached = JSON.parse(localStorage.getItem(VLOG_CONFIG.storageKey));
+        if (!cached || !Array.isArray(cached.videos)) return null;
+
+        // Saved copies get the same link check as a fresh feed
+        cached.videos = cached.videos.filter(video => video && isWebUrl(video.url));
+        if (cached.channel && !isWebUrl(cached.channel.url)) cached.channel.url = '';
+        return cached;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Keep a copy of a freshly loaded feed for offline visits
+ * @param {Object} feed - Parsed feed
+ */
+function writeVlogCache(feed) {
+    try {
+        localStorage.setItem(VLOG_CONFIG.storageKey, JSON.stringify({ ...feed, savedAt: new Date().toISOString() }));
+    } catch (e) {
+        // Storage full or disabled: the grid still renders, just not offline
+    }
+}
+
+/**
+ * Show a loading, empty or error message above the grid
+ * @param {string} message - Text to show (empty hides the status)
+ * @param {boolean} retry - Add a "Try again" button
+ */
+function setVlogStatus(message, retry = false) {
+    const status = document.getElementById('vlog-status');
+    if (!status) return;
+
+    status.hidden = !message;
+    status.textContent = message;
+
+    if (retry) {
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'projects-retry hover-target';
+        retryBtn.textContent = t('vlog.retry', 'Try again');
+        retryBtn.addEventListener('click', () => loadVlog());
+        status.appendChild(retryBtn);
+    }
+}
+
+/**
+ * Build a card for a video
+ * The card links to YouTube, so it still works without script or in a new tab
+ * @param {Object} video - Parsed video
+ * @param {number} index - Position in vlogFeed.videos
+ * @returns {HTMLElement} The .vlog-card list item
+ */
+function createVlogCard(video, index) {
+    const card = document.createElement('li');
+    card.className = 'vlog-card';
+
+    const date = video.published ? video.published.slice(0, 10) : '';
+    card.innerHTML = `
+        <a class="vlog-card-link hover-target" href="${escapeHTML(video.url)}" target="_blank" rel="noopener" data-index="${index}">
+            <span class="vlog-thumb">
+                <img data-slot="vlog" alt="" loading="lazy">
+                ${video.duration ? `<span class="vlog-duration">${escapeHTML(formatDuration(video.duration))}</span>` : ''}
+            </span>
+            <h3 class="vlog-title">${escapeHTML(video.title)}</h3>
+            ${date ? `<time class="vlog-date" datetime="${escapeHTML(video.published)}">${escapeHTML(formatDate(date, { day: 'numeric', month: 'short', year: 'numeric' }))}</time>` : ''}
+        </a>`;
+
+    setResponsiveImage(card.querySelector('img'), video.thumbnail);
+    return card;
+}
+
+/**
+ * Render vlogFeed into the grid, with the matching status message
+ */
+function renderVlog() {
+    const grid = document.getElementById('vlog-grid');
+    const channelLink = document.getElementById('vlog-channel');
+    if (!grid) return;
+
+    grid.innerHTML = '';
+
+    if (!vlogFeed) {
+        if (channelLink) channelLink.hidden = true;
+        setVlogStatus(t('vlog.error', "Couldn't load the videos right now."), true);
+        return;
+    }
+
+    vlogFeed.videos.forEach((video, index) => grid.appendChild(createVlogCard(video, index)));
+
+    if (channelLink) {
+        channelLink.hidden = !vlogFeed.channel.url;
+        if (vlogFeed.channel.url) channelLink.href = vlogFeed.channel.url;
+    }
+
+    if (!vlogFeed.videos.length) {
+        setVlogStatus(t('vlog.empty', 'No videos yet. Check back soon!'));
+    } else if (vlogFeed.savedAt) {
+        setVlogStatus(t('vlog.cached', 'Showing the videos saved on {date}.', {
+            date: formatDate(vlogFeed.savedAt.slice(0, 10), { day: 'numeric', month: 'long', year: 'numeric' })
+        }), true);
+    } else {
+        setVlogStatus('');
+    }
+}
+
+/**
+ * Fetch the feed and render it, falling back to the saved copy
+ * Never rejects - failures are shown as a status with a retry button
+ * @returns {Promise<void>} Resolves once the grid or the error is shown
+ */
+function loadVlog() {
+    setVlogStatus(t('vlog.loading', 'Loading videos…'));
+
+    return fetch(VLOG_CONFIG.feedUrl)
+        .then(response => {
+            if (!response.ok) throw new Error(`Feed request failed (${response.status})`);
+            return response.text();
+        })
+        .then(xml => {
+            vlogFeed = parseVlogFeed(xml);
+            writeVlogCache(vlogFeed);
+            renderVlog();
+        })
+        .catch(error => {
+            console.error('Failed to load the vlog feed:', error);
+            vlogFeed = readVlogCache();
+            renderVlog();
+        });
+}
+
+/**
+ * Play a video in the embed modal
+ * @param {number} index - Position in vlogFeed.videos
+ */
+function openVlogVideo(index) {
+    const video = vlogFeed && vlogFeed.videos[index];
+    if (!video || !vlogPlayer) return;
+
+    const frame = document.getElementById('vlog-player-frame');
+    frame.innerHTML = '';
+
+    if (navigator.onLine === false) {
+        frame.innerHTML = `<p class="vlog-player-offline">${escapeHTML(t('vlog.offline', 'Videos need a connection. They will play once you are back online.'))}</p>`;
+    } else {
+        const embed = document.createElement('iframe');
+        embed.src = `${VLOG_CONFIG.embedUrl}${encodeURIComponent(video.id)}?autoplay=1&rel=0`;
+        embed.title = video.title;
+        embed.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
+        embed.allowFullscreen = true;
+        embed.referrerPolicy = 'strict-origin-when-cross-origin';
+        frame.appendChild(embed);
+    }
+
+    document.getElementById('vlog-player-title').textContent = video.title;
+    document.getElementById('vlog-player-link').href = video.url;
+
+    vlogPlayer.hidden = false;
+    document.body.classList.add('lightbox-open');
+    activateDialog(vlogPlayer, { onEscape: closeVlogVideo, initialFocus: document.getElementById('vlog-player-close') });
+    gsap.fromTo(vlogPlayer, { opacity: 0 }, { opacity: 1, duration: motionDuration(0.3), ease: "power2.out" });
+
+    trackEvent('vlog_play', { video: video.id });
+}
+
+/**
+ * Close the embed modal; removing the embed stops playback
+ */
+function closeVlogVideo() {
+    if (!vlogPlayer || vlogPlayer.hidden) return;
+
+    vlogPlayer.hidden = true;
+    document.getElementById('vlog-player-frame').innerHTML = '';
+    document.body.classList.remove('lightbox-open');
+    deactivateDialog(vlogPlayer);
+}
+
+/**
+ * Wire up the vlog view - called once, when it is first shown
+ */
+function initVlog() {
+    const grid = document.getElementById('vlog-grid');
+    if (grid) {
+        grid.addEventListener('click', (e) => {
+            const link = e.target.closest('.vlog-card-link');
+            // Modified clicks keep their usual meaning (new tab, new window)
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+            e.preventDefault();
+            openVlogVideo(Number(link.dataset.index));
+        });
+    }
+
+    loadVlog();
+}
+
+if (vlogPlayer) {
+    document.getElementById('vlog-player-close').addEventListener('click', closeVlogVideo);
+
+    // Clicking around the video closes
+    vlogPlayer.addEventListener('click', (e) => {
+        if (e.target === vlogPlayer) closeVlogVideo();
+    });
+}
+
+// Dates and durations follow the language
+onLocaleChange(() => {
+    if (document.getElementById('vlog-grid') && vlogFeed) renderVlog();
+});
+
+/* ============================================================================
+   OFFLINE SUPPORT & UPDATES
+   ============================================================================
+   Registers the service worker (sw.js) that makes the site installable
+   and usable offline
+   - Only over http(s); a copy opened from disk runs without it
+   - New versions install in the background and wait; the update banner
+     lets the visitor switch over, which reloads the page
+   - The offline view (served by the worker) reloads once the connection
+     is back
+   ============================================================================ */
+
+/**
+ * Offline configuration
+ * A page can override it by defining window.OFFLINE_CONFIG before script.js
+ */
+const OFFLINE_CONFIG = Object.assign({
+    enabled: true,
+    serviceWorker: 'sw.js'
+}, window.OFFLINE_CONFIG);
+
+// Installed worker waiting to take over, once an update has been found
+let waitingWorker = null;
+
+// Set when the visitor accepts the update, so the worker switch reloads the page
+let isApplyingUpdate = false;
+
+/**
+ * Offer to switch to a new version
+ * @param {ServiceWorker} worker - Installed, waiting worker
+ */
+function showUpdateBanner(worker) {
+    const banner = document.getElementById('update-banner');
+    waitingWorker = worker;
+    if (!banner || !banner.hidden) return;
+
+    banner.hidden = false;
+    gsap.fromTo(banner, { opacity: 0, y: 20 }, { opacity: 1, y: 0, duration: motionDuration(0.4), ease: "power2.out" });
+}
+
+/**
+ * Hide the update banner; the new version then starts on the next visit
+ */
+function hideUpdateBanner() {
+    const banner = document.getElementById('update-banner');
+    if (banner) banner.hidden = true;
+}
+
+/**
+ * Switch to the waiting version (the page reloads on controllerchange)
+ */
+function applyUpdate() {
+    hideUpdateBanner();
+    if (!waitingWorker) return;
+
+    isApplyingUpdate = true;
+    waitingWorker.postMessage({ type: 'skip-waiting' });
+}
+
+/**
+ * Prompt when a new worker finishes installing next to the current one
+ * @param {ServiceWorkerRegistration} registration - Site's registration
+ */
+function watchForUpdates(registration) {
+    // Without a controller this is the first install, which takes over silently
+    const prompt = worker => {
+        if (navigator.serviceWorker.controller) showUpdateBanner(worker);
+    };
+
+    if (registration.waiting) prompt(registration.waiting);
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed') prompt(worker);
         });
+    });
+
+    // Long-lived tabs check for a new version whenever they come back into view
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') registration.update().catch(() => {});
+    });
+}
+
+/**
+ * Register the service worker
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null when unsupported or failed
+ */
+function registerServiceWorker() {
+    if (!OFFLINE_CONFIG.enabled || !('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+        return Promise.resolve(null);
     }
+
+    return navigator.serviceWorker.register(OFFLINE_CONFIG.serviceWorker)
+        .then(registration => {
+            watchForUpdates(registration);
+            return registration;
+        })
+        .catch(error => {
+            console.error('Service worker registration failed:', error);
+            return null;
+        });
+}
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (isApplyingUpdate) window.location.reload();
+    });
 }
 
+// Registered after load, so precaching never competes with the first paint
+window.addEventListener('load', registerServiceWorker);
+
+window.addEventListener('online', () => {
+    if (currentRoute && currentRoute.view === 'offline') window.location.reload();
+});
+
 /* ============================================================================
-   MOBILE MENU SYSTEM
+   COMMAND PALETTE & KEYBOARD SHORTCUTS
    ============================================================================
-   Handles hamburger menu toggle and mobile navigation
-   Creates smooth slide-in/out animation with staggered menu items
+   Keyboard-first way around the site
+   - Ctrl/Cmd+K opens a palette that fuzzy-searches the views, every
+     project, the gallery photos by title and a few actions
+   - Mnemonic shortcuts such as "g p" (go to photos) skip the palette;
+     "?" lists them all
+   - Shortcuts are ignored while typing (contact form, gallery search)
+     and while another dialog is open
    ============================================================================ */
 
-// Reference DOM elements for mobile menu
-const menuTrigger = document.getElementById('mobile-menu-trigger');
-const navOverlay = document.getElementById('nav-overlay');
-const mNavItems = document.querySelectorAll('.m-nav-item');
-const menuCloseBtn = document.getElementById('menu-close-btn');
+const commandPalette = document.getElementById('command-palette');
+const commandInput = document.getElementById('command-input');
+const commandList = document.getElementById('command-list');
+const shortcutsHelp = document.getElementById('shortcuts-help');
 
-// Track menu open/closed state
-let isMenuOpen = false;
+// "mod" in KEYBOARD_SHORTCUTS is Cmd on Apple devices and Ctrl elsewhere
+const IS_APPLE_PLATFORM = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+// How long to wait for the second key of a sequence such as "g p"
+const SHORTCUT_SEQUENCE_TIMEOUT = 1000;
+
+// Most results listed for a query
+const PALETTE_MAX_RESULTS = 50;
 
 /**
- * Create GSAP timeline for smooth menu animations
- * Animation sequence: overlay slide in → menu items fade in → close button appears
+ * Keyboard shortcuts, in the order the "?" overlay lists them
+ * - keys: one entry per key press, matched against KeyboardEvent.key
+ * - command: id of the palette command to run ("palette" opens the palette)
  */
-const menuTl = gsap.timeline({ paused: true });
-menuTl.to(navOverlay, { x: 0, visibility: 'visible', duration: 0.6, ease: "expo.out" })
-    .to(mNavItems, { opacity: 1, y: 0, stagger: 0.1, duration: 0.4, ease: "back.out(1.7)" }, "-=0.3")
-    .to(menuCloseBtn, { opacity: 1, scale: 1, duration: 0.3, ease: "back.out(1.7)" }, "-=0.2");
+const KEYBOARD_SHORTCUTS = [
+    { keys: ['mod+k'], command: 'palette' },
+    { keys: ['g', 'h'], command: 'view:home' },
+    { keys: ['g', 'w'], command: 'view:projects' },
+    { keys: ['g', 'p'], command: 'view:photos' },
+    { keys: ['g', 'v'], command: 'view:vlog' },
+    { keys: ['g', 'a'], command: 'view:about' },
+    { keys: ['g', 'r'], command: 'view:cv' },
+    { keys: ['g', 'c'], command: 'view:contact' },
+    { keys: ['g', 't'], command: 'action:scroll-top' },
+    { keys: ['m'], command: 'action:toggle-menu' },
+    { keys: ['?'], command: 'action:shortcuts' }
+];
 
-/* ============================================================================
-   MOBILE MENU IMAGE PREVIEW INTERACTION
-   ============================================================================ */
-const previewContainer = document.querySelector('.nav-preview-container');
-const previewImg = document.getElementById('nav-preview-img');
+// Views offered by the palette, in nav order
+const PALETTE_VIEWS = ['home', 'projects', 'photos', 'vlog', 'about', 'cv', 'contact'];
 
-if (previewContainer && previewImg) {
-    mNavItems.forEach(item => {
-        item.addEventListener('mouseenter', () => {
-            const imgSrc = item.getAttribute('data-img');
-            if (imgSrc) {
-                previewImg.src = imgSrc;
-                previewContainer.classList.add('active');
-            }
-        });
+/**
+ * Actions offered by the palette
+ * - label: translation key under palette.actions
+ * - available: optional check, the action is left out when it returns false
+ */
+const PALETTE_ACTIONS = [
+    { id: 'copy-email', label: 'copyEmail', fallback: 'Copy email address', run: copyEmailAddress, available: () => !!(profile && profile.email) },
+    { id: 'download-cv', label: 'downloadCv', fallback: 'Download CV', run: downloadCv },
+    { id: 'toggle-menu', label: 'toggleMenu', fallback: 'Toggle menu', run: () => toggleMobileMenu(), available: isMenuAvailable },
+    { id: 'scroll-top', label: 'scrollTop', fallback: 'Scroll to top', run: scrollToTop },
+    { id: 'toggle-theme', label: 'toggleTheme', fallback: 'Switch light/dark mode', run: toggleTheme },
+    { id: 'switch-language', label: 'switchLanguage', fallback: 'Switch language', run: cycleLocale },
+    { id: 'shortcuts', label: 'shortcuts', fallback: 'Show keyboard shortcuts', run: openShortcutsHelp }
+];
 
-        item.addEventListener('mouseleave', () => {
-            previewContainer.classList.remove('active');
-        });
+/**
+ * Palette state
+ * - results: commands currently listed, with their match
+ * - active: index of the highlighted result
+ */
+const paletteState = { results: [], active: 0 };
+
+// First key of a sequence waiting for its second key, e.g. "g"
+let pendingShortcutKey = null;
+let pendingShortcutTimer = null;
+let commandToastTimer = null;
+
+/**
+ * Whether the full-screen menu can be opened at this screen size
+ * The overlay is only laid out while the hamburger button is shown
+ * @returns {boolean}
+ */
+function isMenuAvailable() {
+    return !!menuTrigger && getComputedStyle(menuTrigger).display !== 'none';
+}
+
+/**
+ * Show a short confirmation in the corner (also read by screen readers)
+ * @param {string} message - Text to show
+ */
+function showCommandToast(message) {
+    const toast = document.getElementById('command-toast');
+    if (!toast) return;
+
+    toast.hidden = false;
+    toast.textContent = message;
+    clearTimeout(commandToastTimer);
+    commandToastTimer = setTimeout(() => { toast.hidden = true; }, 2500);
+}
+
+/**
+ * Copy the email address from profile.json, or open the mail app if the clipboard is unavailable
+ */
+function copyEmailAddress() {
+    const email = profile && profile.email;
+    if (!email) return;
+
+    const openMailApp = () => {
+        showCommandToast(t('palette.copyFailed', "Couldn't copy, opening your mail app instead"));
+        window.location.href = `mailto:${email}`;
+    };
+
+    if (!navigator.clipboard) {
+        openMailApp();
+        return;
+    }
+
+    navigator.clipboard.writeText(email)
+        .then(() => showCommandToast(t('palette.copied', 'Email address copied')))
+        .catch(openMailApp);
+}
+
+/**
+ * Download the CV PDF, the same as the CV view's download button
+ */
+function downloadCv() {
+    const link = document.createElement('a');
+    link.href = CV_CONFIG.url;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    trackEvent('cv_download');
+}
+
+/**
+ * Scroll the page back to the top (instantly when motion is reduced)
+ */
+function scrollToTop() {
+    window.scrollTo({ top: 0, behavior: isReducedMotion() ? 'auto' : 'smooth' });
+}
+
+/**
+ * Gallery photo titles, read from the markup even while it's still in its <template>
+ * @returns {string[]} Titles in gallery order (empty string for untitled photos)
+ */
+function getGalleryTitles() {
+    const template = document.getElementById(viewRegistry.photos.template);
+    const root = template ? template.content : document;
+
+    return Array.from(root.querySelectorAll('.photo-gallery-modern .gallery-item')).map(item => {
+        const title = item.querySelector('.photo-caption h3');
+        return title ? title.textContent.trim() : '';
     });
 }
 
 /**
- * Toggle mobile menu open/closed state
- * @param {string} targetView - Optional view to show after menu closes
+ * Everything the palette can run, in the order shown for an empty query
+ * @returns {{id: string, group: string, label: string, run: Function}[]} Commands
  */
-function toggleMobileMenu(targetView) {
-    if (!isMenuOpen) {
-        // Menu is closed, open it
-        menuTl.play();
-        menuTrigger.classList.add('active');
-        navOverlay.classList.add('active');
-    } else {
-        // Menu is open, close it
-        menuTl.reverse();
-        menuTrigger.classList.remove('active');
-        navOverlay.classList.remove('active');
+function getPaletteCommands() {
+    const group = (key, fallback) => t(`palette.groups.${key}`, fallback);
 
-        // Navigate to selected view after menu closes
-        if (targetView) setTimeout(() => showView(targetView), 500);
+    // Views whose route is turned off (e.g. the vlog without a feed) are left out
+    const views = PALETTE_VIEWS.filter(viewId => matchRoute(viewId)).map(viewId => ({
+        id: `view:${viewId}`,
+        group: group('views', 'Page'),
+        label: getViewLabel(viewId),
+        run: () => navigate(viewId)
+    }));
+
+    const projectCommands = projects.map((project, index) => ({
+        id: `project:${project.slug}`,
+        group: group('projects', 'Project'),
+        label: project.title,
+        run: () => openProject(index)
+    }));
+
+    const photos = getGalleryTitles()
+        .map((title, index) => ({
+            id: `photo:${index + 1}`,
+            group: group('photos', 'Photo'),
+            label: title,
+            run: () => openPhoto(index)
+        }))
+        .filter(command => command.label);
+
+    const actions = PALETTE_ACTIONS
+        .filter(action => !action.available || action.available())
+        .map(action => ({
+            id: `action:${action.id}`,
+            group: group('actions', 'Action'),
+            label: t(`palette.actions.${action.label}`, action.fallback),
+            run: action.run
+        }));
+
+    return [...views, ...projectCommands, ...photos, ...actions];
+}
+
+/**
+ * Score how well a query matches a label, fuzzy style
+ * Every query character must appear in order; runs of characters and
+ * matches at the start of a word score higher
+ * @param {string} query - What the visitor typed
+ * @param {string} label - Command label
+ * @returns {{score: number, positions: number[]}|null} Match, or null if it doesn't match
+ */
+function fuzzyMatch(query, label) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = label.toLowerCase();
+    if (!needle) return { score: 0, positions: [] };
+
+    const positions = [];
+    let score = 0;
+    let from = 0;
+
+    for (const char of needle) {
+        const index = haystack.indexOf(char, from);
+        if (index === -1) return null;
+
+        const previous = positions[positions.length - 1];
+        const wordStart = index === 0 || /[\s\-_/.]/.test(haystack[index - 1]);
+        score += 1;
+        if (previous === index - 1) score += 3;
+        if (wordStart) score += 5;
+        // Small penalty for skipped characters, so tighter matches win
+        score -= Math.min(index - from, 5) * 0.1;
+
+        positions.push(index);
+        from = index + 1;
     }
 
-    // Toggle menu state
-    isMenuOpen = !isMenuOpen;
+    // Prefer shorter labels among equal matches
+    return { score: score - label.length * 0.01, positions };
 }
 
 /**
- * Add click handler to hamburger menu trigger
+ * Label markup with the matched characters wrapped in <mark>
+ * @param {string} label - Command label
+ * @param {number[]} positions - Matched character indexes
+ * @returns {string} Escaped HTML
  */
-menuTrigger.addEventListener('click', () => toggleMobileMenu());
+function highlightMatch(label, positions) {
+    const matched = new Set(positions);
+    return Array.from(label).map((char, i) => (matched.has(i) ? `<mark>${escapeHTML(char)}</mark>` : escapeHTML(char))).join('');
+}
 
-/* ============================================================================
-   EMAIL SERVICE - EMAILJS INTEGRATION
-   ============================================================================
-   Handles contact form submission using EmailJS service
-   Sends emails directly from the client without backend server
-   ============================================================================ */
+/**
+ * Keys of a shortcut as <kbd> markup, e.g. "g then p" or "Ctrl K"
+ * @param {string[]} keys - Keys from KEYBOARD_SHORTCUTS
+ * @returns {string} HTML
+ */
+function formatShortcut(keys) {
+    // Letters are shown as typed, except in combinations ("Ctrl K", like the OS shows them)
+    const formatKey = key => key.split('+')
+        .map((part, i, parts) => {
+            if (part === 'mod') return IS_APPLE_PLATFORM ? '⌘' : 'Ctrl';
+            return parts.length > 1 ? part.toUpperCase() : part;
+        })
+        .map(part => `<kbd>${escapeHTML(part)}</kbd>`)
+        .join(' ');
+
+    return keys.map(formatKey).join(` <span class="shortcut-then">${escapeHTML(t('shortcuts.then', 'then'))}</span> `);
+}
 
 /**
- * Initialize EmailJS with API credentials
- * Must be called before sending any emails
+ * Find the shortcut that runs a command
+ * @param {string} commandId - Command id
+ * @returns {Object|undefined} Entry from KEYBOARD_SHORTCUTS
  */
-(function () {
-    emailjs.init("oTPVHwl5Wz0cIOKA-");
-})();
+function findShortcut(commandId) {
+    return KEYBOARD_SHORTCUTS.find(shortcut => shortcut.command === commandId);
+}
 
 /**
- * Handle contact form submission
- * Sends form data via EmailJS and handles success/error responses
+ * Move the highlight to a result and keep it in view
+ * @param {number} index - Result index, wraps around
  */
-document.getElementById("contact-form").addEventListener("submit", function (e) {
-    // Prevent default form submission behavior
-    e.preventDefault();
+function setActiveCommand(index) {
+    const options = commandList.children;
+    if (!options.length) {
+        commandInput.removeAttribute('aria-activedescendant');
+        return;
+    }
 
-    // Send form data using EmailJS
-    emailjs.sendForm("service_6qr1akj", "template_rsqwb7s", this)
-        .then(() => {
-            // Success: Show modal and clear form
-            showMessageModal();
-            this.reset();
-        }, () => {
-            // Error: Show error modal
-            showErrorModal();
-        });
-});
+    paletteState.active = (index + options.length) % options.length;
+    Array.from(options).forEach((option, i) => option.setAttribute('aria-selected', String(i === paletteState.active)));
+
+    const active = options[paletteState.active];
+    commandInput.setAttribute('aria-activedescendant', active.id);
+    if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+}
 
 /**
- * Show success message modal
+ * List the commands matching the input
  */
-function showMessageModal() {
-    const modal = document.getElementById("message-modal");
-    modal.classList.add("active");
+function renderCommandResults() {
+    const query = commandInput.value.trim();
+    const results = getPaletteCommands()
+        .map((command, order) => ({ command, order, match: fuzzyMatch(query, command.label) }))
+        .filter(result => result.match);
+
+    if (query) results.sort((a, b) => b.match.score - a.match.score || a.order - b.order);
+    paletteState.results = results.slice(0, PALETTE_MAX_RESULTS);
+
+    commandList.innerHTML = paletteState.results.map(({ command, match }, i) => {
+        const shortcut = findShortcut(command.id);
+        return `<li class="command-option" id="command-option-${i}" role="option" aria-selected="false" data-index="${i}">
+            <span class="command-option-label">${highlightMatch(command.label, match.positions)}</span>
+            ${shortcut ? `<span class="command-option-keys" aria-hidden="true">${formatShortcut(shortcut.keys)}</span>` : ''}
+            <span class="command-option-group">${escapeHTML(command.group)}</span>
+        </li>`;
+    }).join('');
+
+    document.getElementById('command-empty').hidden = paletteState.results.length > 0;
+    setActiveCommand(0);
 }
 
 /**
- * Close success message modal
+ * Run a command by id, from the palette or a shortcut
+ * @param {string} commandId - Command id, e.g. "view:photos"
+ * @param {string} via - "palette" or "shortcut"
  */
-function closeMessageModal() {
-    const modal = document.getElementById("message-modal");
-    modal.classList.remove("active");
+function runCommand(commandId, via) {
+    if (commandId === 'palette') {
+        openCommandPalette();
+        return;
+    }
+
+    const command = getPaletteCommands().find(entry => entry.id === commandId);
+    if (!command) return;
+
+    trackEvent('command', { command: commandId, via });
+    command.run();
 }
 
 /**
- * Show error message modal
+ * Run the highlighted result, closing the palette first so focus can move on
+ * @param {number} index - Result index
  */
-function showErrorModal() {
-    const modal = document.getElementById("error-modal");
-    modal.classList.add("active");
+function runPaletteResult(index) {
+    const result = paletteState.results[index];
+    if (!result) return;
+
+    closeCommandPalette();
+    runCommand(result.command.id, 'palette');
 }
 
 /**
- * Close error message modal
+ * Whether the palette is open
+ * @returns {boolean}
  */
-function closeErrorModal() {
-    const modal = document.getElementById("error-modal");
-    modal.classList.remove("active");
+function isCommandPaletteOpen() {
+    return !!commandPalette && !commandPalette.hidden;
 }
 
-/* ============================================================================
-   LOGO ANIMATIONS
-   ============================================================================
-   Creates interactive hover effects for the logo
+/**
+ * Open the palette with an empty query
+ */
+function openCommandPalette() {
+    if (!commandPalette || isCommandPaletteOpen()) return;
 
+    commandPalette.hidden = false;
+    commandInput.value = '';
+    renderCommandResults();
+    activateDialog(commandPalette, { onEscape: closeCommandPalette, initialFocus: commandInput });
+}
 
-/* ============================================================================
-   PROJECTS SLIDER SYSTEM
-   ============================================================================
-   Handles horizontal sliding for the redesigned My Works section
-   - Smooth track movement
-   - Button navigation
-   - Responsive slide width calculation
-   ============================================================================ */
+/**
+ * Close the palette and give focus back
+ */
+function closeCommandPalette() {
+    if (!isCommandPaletteOpen()) return;
 
-let currentProjectIndex = 0;
+    commandPalette.hidden = true;
+    deactivateDialog(commandPalette);
+}
 
-function initProjectsSlider() {
-    const track = document.getElementById('projects-track');
-    const slides = document.querySelectorAll('.project-slide-item');
-    const prevBtn = document.getElementById('projects-prev');
-    const nextBtn = document.getElementById('projects-next');
+/**
+ * Show the "?" overlay, listing every shortcut
+ */
+function openShortcutsHelp() {
+    if (!shortcutsHelp || !shortcutsHelp.hidden) return;
 
-    if (!track || !slides.length) return;
+    const labels = new Map(getPaletteCommands().map(command => [command.id, command.label]));
+    document.getElementById('shortcuts-list').innerHTML = KEYBOARD_SHORTCUTS
+        .filter(shortcut => shortcut.command === 'palette' || labels.has(shortcut.command))
+        .map(shortcut => {
+            const label = shortcut.command === 'palette'
+                ? t('shortcuts.palette', 'Open the command palette')
+                : labels.get(shortcut.command);
+            return `<div class="shortcuts-row"><dt>${formatShortcut(shortcut.keys)}</dt><dd>${escapeHTML(label)}</dd></div>`;
+        }).join('');
 
-    // Remove existing event listeners by cloning nodes (simple way to reset)
-    const newPrevBtn = prevBtn.cloneNode(true);
-    const newNextBtn = nextBtn.cloneNode(true);
-    prevBtn.parentNode.replaceChild(newPrevBtn, prevBtn);
-    nextBtn.parentNode.replaceChild(newNextBtn, nextBtn);
+    shortcutsHelp.hidden = false;
+    activateDialog(shortcutsHelp, { onEscape: closeShortcutsHelp });
+}
 
-    const updateSlider = () => {
-        const slideWidth = slides[0].offsetWidth;
-        const gap = 30; // Matches CSS gap
-        const moveDistance = currentProjectIndex * (slideWidth + gap);
+/**
+ * Hide the shortcuts overlay
+ */
+function closeShortcutsHelp() {
+    if (!shortcutsHelp || shortcutsHelp.hidden) return;
 
-        gsap.to(track, {
-            x: -moveDistance,
-            duration: 1,
-            ease: "expo.out"
-        });
+    shortcutsHelp.hidden = true;
+    deactivateDialog(shortcutsHelp);
+}
 
-        // Update active class for visual feedback
-        slides.forEach((slide, index) => {
-            if (index === currentProjectIndex) {
-                slide.classList.add('active');
-            } else {
-                slide.classList.remove('active');
-            }
-        });
+/**
+ * Whether a key press is text entry rather than a shortcut
+ * @param {EventTarget} target - Keydown target
+ * @returns {boolean}
+ */
+function isTypingTarget(target) {
+    if (!(target instanceof Element)) return false;
+    return target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+}
 
-        // Disable/Enable buttons based on position
-        newPrevBtn.style.opacity = currentProjectIndex === 0 ? '0.2' : '1';
-        newPrevBtn.style.pointerEvents = currentProjectIndex === 0 ? 'none' : 'auto';
-        newNextBtn.style.opacity = currentProjectIndex === slides.length - 1 ? '0.2' : '1';
-        newNextBtn.style.pointerEvents = currentProjectIndex === slides.length - 1 ? 'none' : 'auto';
-    };
+/**
+ * Forget a half-typed sequence such as "g"
+ */
+function clearPendingShortcut() {
+    pendingShortcutKey = null;
+    clearTimeout(pendingShortcutTimer);
+}
+
+/**
+ * Global shortcut handling
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleShortcutKeys(e) {
+    if (e.defaultPrevented || e.isComposing || e.repeat) return;
 
-    newNextBtn.addEventListener('click', () => {
-        if (currentProjectIndex < slides.length - 1) {
-            currentProjectIndex++;
-            updateSlider();
+    // Nothing is intercepted while the visitor writes a message
+    if (contactForm && e.target instanceof Node && contactForm.contains(e.target)) return;
+
+    const mod = IS_APPLE_PLATFORM ? e.metaKey : e.ctrlKey;
+    if (mod && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+        // Toggles the palette, but never opens it over another dialog
+        if (isCommandPaletteOpen()) {
+            e.preventDefault();
+            closeCommandPalette();
+        } else if (!dialogStack.length) {
+            e.preventDefault();
+            openCommandPalette();
         }
-    });
+        return;
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey || dialogStack.length || isTypingTarget(e.target)) {
+        clearPendingShortcut();
+        return;
+    }
+
+    const sequence = pendingShortcutKey ? [pendingShortcutKey, e.key] : [e.key];
+    const shortcut = KEYBOARD_SHORTCUTS.find(entry => entry.keys.join(' ') === sequence.join(' '));
+    clearPendingShortcut();
+
+    if (shortcut) {
+        e.preventDefault();
+        runCommand(shortcut.command, 'shortcut');
+    } else if (KEYBOARD_SHORTCUTS.some(entry => entry.keys.length > 1 && entry.keys[0] === e.key)) {
+        pendingShortcutKey = e.key;
+        pendingShortcutTimer = setTimeout(clearPendingShortcut, SHORTCUT_SEQUENCE_TIMEOUT);
+    }
+}
+
+document.addEventListener('keydown', handleShortcutKeys);
 
-    newPrevBtn.addEventListener('click', () => {
-        if (currentProjectIndex > 0) {
-            currentProjectIndex--;
-            updateSlider();
+if (commandPalette) {
+    commandInput.addEventListener('input', renderCommandResults);
+
+    commandInput.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveCommand(paletteState.active + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runPaletteResult(paletteState.active);
         }
     });
 
-    // Handle touch/drag for mobile (Optional but nice)
-    let startX = 0;
-    let isDragging = false;
+    commandList.addEventListener('mousemove', (e) => {
+        const option = e.target.closest('.command-option');
+        if (option && Number(option.dataset.index) !== paletteState.active) setActiveCommand(Number(option.dataset.index));
+    });
 
-    track.addEventListener('touchstart', (e) => {
-        startX = e.touches[0].clientX;
-        isDragging = true;
+    commandList.addEventListener('click', (e) => {
+        const option = e.target.closest('.command-option');
+        if (option) runPaletteResult(Number(option.dataset.index));
     });
 
-    track.addEventListener('touchend', (e) => {
-        if (!isDragging) return;
-        const endX = e.changedTouches[0].clientX;
-        const diff = startX - endX;
+    // Clicking the backdrop closes
+    commandPalette.addEventListener('click', (e) => {
+        if (e.target === commandPalette) closeCommandPalette();
+    });
 
-        if (Math.abs(diff) > 50) {
-            if (diff > 0 && currentProjectIndex < slides.length - 1) {
-                currentProjectIndex++;
-            } else if (diff < 0 && currentProjectIndex > 0) {
-                currentProjectIndex--;
-            }
-            updateSlider();
-        }
-        isDragging = false;
+    onLocaleChange(() => {
+        if (isCommandPaletteOpen()) renderCommandResults();
+    });
+}
+
+if (shortcutsHelp) {
+    shortcutsHelp.addEventListener('click', (e) => {
+        if (e.target === shortcutsHelp) closeShortcutsHelp();
     });
+}
 
-    // Initial update
-    updateSlider();
+/* ============================================================================
+   PUBLIC API & EVENTS
+   ============================================================================
+   window.Portfolio is the supported way for add-ons and tests to drive
+   the site and hook into it, instead of patching the functions below
+   - Methods go through the same code paths as the UI
+   - Events are DOM CustomEvents dispatched on document, data in detail:
+     - portfolio:viewchange { view, from, path } once a new view is on screen
+     - portfolio:menutoggle { open }
+     - portfolio:slidechange { index, from, project, via }
+     - portfolio:contactresult { status: sent|handedoff|queued|failed, transport, error, fromOutbox }
+     - portfolio:localechange { locale }
+     - portfolio:themechange { theme, palette }
+   - The globals used by inline handlers (navigate, toggleMobileMenu, ...)
+     keep working
+   ============================================================================ */
 
-    // Recalculate on resize
-    window.addEventListener('resize', updateSlider);
+/**
+ * Dispatch a portfolio:<type> event on the document
+ * @param {string} type - Event name without the prefix, e.g. "viewchange"
+ * @param {Object} detail - Event data
+ */
+function emitPortfolioEvent(type, detail) {
+    document.dispatchEvent(new CustomEvent(`portfolio:${type}`, { detail }));
 }
 
-// Initialize on load
-window.addEventListener('load', () => {
-    initProjectsSlider();
-});
+onLocaleChange(locale => emitPortfolioEvent('localechange', { locale }));
+onThemeChange((theme, palette) => emitPortfolioEvent('themechange', { theme, palette }));
 
-// Re-initialize when switching to projects view
-const baseShowView = showView;
-showView = (viewId) => {
-    baseShowView(viewId);
-    if (viewId === 'projects') {
-        setTimeout(initProjectsSlider, 100);
-    }
-};
+/**
+ * Public API, also available as window.Portfolio
+ */
+const Portfolio = Object.freeze({
+    /**
+     * Go to a route, exactly like clicking a nav link
+     * @param {string} path - Hash path such as "about", "projects/ocean-vortex" or "photos?mood=calm"
+     * @param {Object} options - { replace: true } to replace the current history entry
+     */
+    navigate(path, options) {
+        navigate(path, options);
+    },
+
+    /**
+     * Snapshot of the runtime state
+     * @returns {{view: ?string, path: ?string, menuOpen: boolean, slide: number, locale: string, theme: string}}
+     */
+    getState() {
+        return {
+            view: activeViewId,
+            path: currentRoute ? currentRoute.path : null,
+            menuOpen: isMenuOpen,
+            slide: currentProjectIndex,
+            locale: currentLocale,
+            theme: getTheme()
+        };
+    },
+
+    /**
+     * Open the full-screen menu (no-op if already open)
+     */
+    openMenu() {
+        if (!isMenuOpen) toggleMobileMenu();
+    },
+
+    /**
+     * Close the full-screen menu (no-op if already closed)
+     */
+    closeMenu() {
+        if (isMenuOpen) toggleMobileMenu();
+    },
+
+    slider: Object.freeze({
+        /**
+         * Move the projects slider to a card
+         * While the projects view is hidden the slider starts at that card next time
+         * @param {number|string} target - Slide index or project slug
+         */
+        goTo(target) {
+            const index = typeof target === 'string' ? findProjectIndex(target) : Number(target);
+            if (!projects.length || !Number.isInteger(index) || index < 0) return;
+            moveProjectsSlider(index, 'api');
+        },
+
+        /**
+         * Move to the next card
+         */
+        next() {
+            moveProjectsSlider(currentProjectIndex + 1, 'api');
+        },
 
+        /**
+         * Move to the previous card
+         */
+        prev() {
+            moveProjectsSlider(currentProjectIndex - 1, 'api');
+        },
+
+        /**
+         * Projects in slider order
+         * @returns {Object[]} Copies of the normalized projects.json entries
+         */
+        getProjects() {
+            return projects.map(project => ({ ...project }));
+        }
+    }),
+
+    contact: Object.freeze({
+        /**
+         * Send a message through the configured transport (queued while offline)
+         * Validated and rate limited like the form; an invalid payload resolves as failed
+         * @param {Object} payload - { from_name, from_email, message }, plus the optional honeypot website
+         * @returns {Promise<{status: string, error: ?Error}>} status is sent, handedoff, queued or failed
+         */
+        send(payload) {
+            return submitContactPayload(payload);
+        }
+    }),
 
+    /**
+     * Switch the interface language
+     * @param {string} id - Locale id from LOCALES, e.g. "bn"
+     * @returns {Promise} Resolves once the catalog is applied
+     */
+    setLocale(id) {
+        return setLocale(id);
+    },
 
+    /**
+     * Set the colour scheme
+     * @param {string|null} preference - 'light', 'dark', or null to follow the system
+     */
+    setTheme(preference) {
+        setThemePreference(preference);
+    },
 
+    /**
+     * Listen for a portfolio event
+     * @param {string} type - Event name without the prefix, e.g. "slidechange"
+     * @param {Function} handler - Called with (detail, event)
+     * @returns {Function} Removes the listener
+     */
+    on(type, handler) {
+        const listener = event => handler(event.detail, event);
+        document.addEventListener(`portfolio:${type}`, listener);
+        return () => document.removeEventListener(`portfolio:${type}`, listener);
+    }
+});
 
+window.Portfolio = Portfolio;
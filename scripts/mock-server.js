@@ -0,0 +1,157 @@
+/* ============================================================================
+   LOCAL DEV SERVER WITH MOCK CONTACT ENDPOINT
+   ============================================================================
+   Serves the site over http://localhost and accepts contact messages
+   - Static files are served from the repository root (or SITE_ROOT);
+     /fixtures/ always comes from the repository
+   - Folder URLs such as /about/ serve their index.html
+   - POST /api/contact logs the JSON message and answers { ok: true }
+   - POST /api/analytics logs each batch of analytics events
+   - index.html is served with the "endpoint" contact transport and
+     analytics sink switched on, and the vlog reading fixtures/vlog.xml
+
+   Usage: node scripts/mock-server.js
+   Environment:
+   - PORT: port to listen on (default 8080)
+   - MOCK_FAIL=1: answer every contact message with a 500
+   - MOCK_DELAY: milliseconds to wait before answering (default 800)
+   - SITE_ROOT: folder to serve, e.g. "dist" after node scripts/prerender.js
+   ============================================================================ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', process.env.SITE_ROOT || '.');
+const FIXTURES = path.resolve(__dirname, '..', 'fixtures');
+const PORT = Number(process.env.PORT) || 8080;
+const FAIL = process.env.MOCK_FAIL === '1';
+const DELAY = process.env.MOCK_DELAY ? Number(process.env.MOCK_DELAY) : 800;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.otf': 'font/otf',
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// Points the contact form and analytics at this server instead of EmailJS / the console,
+// and the vlog at the feed fixture
+const CONFIG_SNIPPET = '<script>window.CONTACT_CONFIG = { transport: "endpoint", endpoint: { url: "/api/contact" } };'
+    + ' window.ANALYTICS_CONFIG = { sink: "endpoint", endpoint: { url: "/api/analytics" } };'
+    + ' window.VLOG_CONFIG = { feedUrl: "/fixtures/vlog.xml" };</script>';
+
+/**
+ * Handle a mock contact submission
+ * @param {http.IncomingMessage} req - POST request with a JSON body
+ * @param {http.ServerResponse} res - Response
+ */
+function handleContact(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        setTimeout(() => {
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (e) {
+                res.writeHead(400, { 'Content-Type': MIME_TYPES['.json'] });
+                res.end(JSON.stringify({ ok: false, error: 'Invalid JSON' }));
+                return;
+            }
+
+            console.log('[mock] contact message:', message);
+
+            res.writeHead(FAIL ? 500 : 200, { 'Content-Type': MIME_TYPES['.json'] });
+            res.end(JSON.stringify(FAIL ? { ok: false, error: 'Mock failure' } : { ok: true }));
+        }, DELAY);
+    });
+}
+
+/**
+ * Log a batch of analytics events (sent by fetch or navigator.sendBeacon)
+ * @param {http.IncomingMessage} req - POST request with a JSON body
+ * @param {http.ServerResponse} res - Response
+ */
+function handleAnalytics(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        try {
+            const { events = [] } = JSON.parse(body);
+            events.forEach(event => console.log('[mock] analytics:', event.name, event.path, JSON.stringify(event.data)));
+            res.writeHead(204);
+        } catch (e) {
+            res.writeHead(400);
+        }
+        res.end();
+    });
+}
+
+/**
+ * Serve a file from the repository root
+ * @param {http.IncomingMessage} req - GET request
+ * @param {http.ServerResponse} res - Response
+ */
+function handleStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, `http://localhost:${PORT}`).pathname);
+    } catch (e) {
+        // Malformed escapes such as /%E0%A4%A
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    const isFixture = urlPath.startsWith('/fixtures/');
+    const base = isFixture ? FIXTURES : ROOT;
+    const relative = isFixture ? urlPath.slice('/fixtures'.length) : urlPath;
+    const filePath = path.join(base, relative.endsWith('/') ? `${relative}index.html` : relative);
+
+    // Never serve anything outside the served folder (including siblings such as tree-evil/)
+    const relativeToBase = path.relative(base, filePath);
+    if (relativeToBase.startsWith('..') || path.isAbsolute(relativeToBase)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        let content = data;
+        if (path.basename(filePath) === 'index.html') {
+            content = data.toString().replace('<script src="script.js"></script>', `${CONFIG_SNIPPET}\n    <script src="script.js"></script>`);
+        }
+
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+http.createServer((req, res) => {
+    if (req.method === 'POST' && req.url === '/api/contact') {
+        handleContact(req, res);
+    } else if (req.method === 'POST' && req.url === '/api/analytics') {
+        handleAnalytics(req, res);
+    } else if (req.method === 'GET') {
+        handleStatic(req, res);
+    } else {
+        res.writeHead(405);
+        res.end('Method not allowed');
+    }
+}).listen(PORT, () => {
+    console.log(`Mock server running at http://localhost:${PORT}${FAIL ? ' (contact sends will fail)' : ''}`);
+});
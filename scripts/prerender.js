@@ -0,0 +1,560 @@
+/* ============================================================================
+   STATIC PRERENDER BUILD
+   ============================================================================
+   Writes a crawlable HTML page per view and per project into dist/
+   - dist/index.html, dist/about/index.html, dist/projects/<slug>/index.html, ...
+   - Each page has its own <title>, meta description, Open Graph/Twitter
+     tags, canonical URL and a JSON-LD Person record from profile.json
+   - The page's view is already active and filled with its content, so
+     crawlers and link previews see it without running script.js
+   - <html data-route> tells script.js which route to hydrate into; from
+     there the site behaves as the usual single-page app
+   - Also writes dist/404.html and dist/sitemap.xml
+   - Stamps dist/sw.js with a hash of the build, so the service worker's
+     caches are replaced (and visitors offered the update) on each deploy
+   - Saves the YouTube channel's feed as dist/vlog.xml for the vlog view,
+     since browsers can't read YouTube's feeds from another origin, and
+     points window.VLOG_CONFIG at it
+
+   Usage: node scripts/prerender.js
+   Environment:
+   - SITE_URL: public URL the site is deployed at (default http://localhost:8080/)
+   - YOUTUBE_CHANNEL_ID: channel whose feed the vlog view shows (UC...);
+     without it the build has no vlog page and the site hides the view
+   ============================================================================ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUT = path.join(ROOT, 'dist');
+const SITE_URL = (process.env.SITE_URL || 'http://localhost:8080/').replace(/\/?$/, '/');
+const SITE_NAME = 'Dipu Sardar';
+const YOUTUBE_CHANNEL_ID = process.env.YOUTUBE_CHANNEL_ID || '';
+
+// Width of the copy prerendered slotted images load before script.js picks from a srcset
+const PRERENDER_IMAGE_WIDTH = 800;
+
+// Turns the vlog view on, reading the feed saved by downloadVlogFeed()
+const VLOG_CONFIG_SNIPPET = '<script>window.VLOG_CONFIG = { feedUrl: "vlog.xml" };</script>';
+
+// Top-level files copied next to the pages (by extension) and folders copied whole
+const ASSET_EXTENSIONS = ['.css', '.js', '.json', '.pdf', '.otf', '.png', '.jpg', '.svg', '.webmanifest'];
+const ASSET_DIRS = ['locales'];
+
+// One page per top-level view; project pages are added from projects.json
+const VIEW_PAGES = [
+    {
+        route: 'home',
+        view: 'home',
+        title: 'Dipu Sardar | Developer & Visual Storyteller',
+        description: 'Portfolio of Dipu Sardar, a CSE student from Barishal building interactive web experiences and documenting life through photography and film.'
+    },
+    {
+        route: 'projects',
+        view: 'projects',
+        title: 'Projects | Dipu Sardar',
+        description: 'Selected photography, motion and film projects by Dipu Sardar.'
+    },
+    {
+        route: 'photos',
+        view: 'photos',
+        title: 'Photos | Dipu Sardar',
+        description: 'Visual Archives: a gallery of photographs by Dipu Sardar, sorted by mood.'
+    },
+    {
+        route: 'vlog',
+        view: 'vlog',
+        title: 'Vlog | Dipu Sardar',
+        description: 'Lifestyle vlogs by Dipu Sardar: everyday life, travel and campus days from his YouTube channel.'
+    },
+    {
+        route: 'about',
+        view: 'about',
+        title: 'About | Dipu Sardar',
+        description: 'About Dipu Sardar: CSE student, web developer and vlogger based in Barishal, Bangladesh.'
+    },
+    {
+        route: 'cv',
+        view: 'cv',
+        title: 'CV | Dipu Sardar',
+        description: 'CV of Dipu Sardar: experience, education and toolkit, with the EuroPass PDF to view, download or print.'
+    },
+    {
+        route: 'contact',
+        view: 'contact',
+        title: 'Contact | Dipu Sardar',
+        description: 'Get in touch with Dipu Sardar for collaborations, freelance web work or a quick call.'
+    }
+];
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {*} value - Raw value
+ * @returns {string} HTML-safe string
+ */
+function escapeHTML(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value).replace(/[&<>"']/g, char => entities[char]);
+}
+
+/**
+ * Replace one exact snippet of the template, failing loudly if the markup moved
+ * @param {string} html - Page HTML
+ * @param {string} search - Snippet expected exactly once
+ * @param {string} replacement - New markup
+ * @returns {string} Updated HTML
+ */
+function replaceOnce(html, search, replacement) {
+    const index = html.indexOf(search);
+    if (index === -1 || html.indexOf(search, index + search.length) !== -1) {
+        throw new Error(`index.html changed: expected exactly one "${search.slice(0, 60)}"`);
+    }
+    return html.slice(0, index) + replacement + html.slice(index + search.length);
+}
+
+/**
+ * Replace the contents of the element with the given id, failing loudly if it's missing
+ * Its data-i18n* attributes are dropped so the browser doesn't swap the static fallback back in
+ * @param {string} html - Page HTML
+ * @param {string} id - Element id
+ * @param {string} content - New inner markup
+ * @returns {string} Updated HTML
+ */
+function replaceContent(html, id, content) {
+    const open = new RegExp(`<(\\w+)[^>]*\\sid="${id}"[^>]*>`).exec(html);
+    if (!open) throw new Error(`index.html changed: expected an element with id="${id}"`);
+
+    const tag = open[1];
+    const tags = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'g');
+    tags.lastIndex = open.index + open[0].length;
+    let depth = 1;
+    let match;
+    while (depth && (match = tags.exec(html))) depth += match[1] ? -1 : 1;
+    if (depth) throw new Error(`index.html changed: unclosed element with id="${id}"`);
+
+    const openTag = open[0].replace(/\s+data-i18n[\w-]*="[^"]*"/g, '');
+    return html.slice(0, open.index) + openTag + content + html.slice(match.index);
+}
+
+/**
+ * Read a JSON file from the repository
+ * @param {string} file - Path relative to the repository root
+ * @returns {*} Parsed JSON
+ */
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+/**
+ * Pick the English text of a profile value that may be { en, bn }
+ * @param {*} value - Plain value or per-locale map
+ * @returns {*} English value
+ */
+function english(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value.en : value;
+}
+
+/**
+ * Format "2024-07" as "Jul 2024"
+ * @param {string} value - Year-month
+ * @returns {string} Short month and year
+ */
+function formatMonth(value) {
+    const [year, month] = value.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-GB', { month: 'short', year: 'numeric' });
+}
+
+/**
+ * Build the JSON-LD Person record
+ * @param {Object} profile - profile.json
+ * @returns {Object} schema.org Person
+ */
+function createPersonSchema(profile) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: profile.name,
+        url: SITE_URL,
+        image: profile.photo,
+        email: profile.email ? `mailto:${profile.email}` : undefined,
+        jobTitle: english(profile.role),
+        address: { '@type': 'PostalAddress', addressLocality: english(profile.location) },
+        alumniOf: (profile.education || []).map(entry => ({
+            '@type': 'EducationalOrganization',
+            name: english(entry.institution)
+        })),
+        knowsAbout: english(profile.skills),
+        sameAs: profile.sameAs || []
+    };
+}
+
+/**
+ * Build the SEO tags that replace the template's <title>
+ * @param {Object} page - { route, title, description, image, type }
+ * @param {Object} person - JSON-LD Person record
+ * @returns {string} Head markup
+ */
+function createHeadTags(page, person) {
+    const url = page.route === 'home' ? SITE_URL : `${SITE_URL}${page.route}/`;
+    const tags = [
+        `<title>${escapeHTML(page.title)}</title>`,
+        `<meta name="description" content="${escapeHTML(page.description)}">`,
+        page.noindex ? '<meta name="robots" content="noindex">' : `<link rel="canonical" href="${url}">`,
+        `<meta property="og:type" content="${page.type || 'website'}">`,
+        `<meta property="og:site_name" content="${SITE_NAME}">`,
+        `<meta property="og:title" content="${escapeHTML(page.title)}">`,
+        `<meta property="og:description" content="${escapeHTML(page.description)}">`,
+        `<meta property="og:url" content="${url}">`,
+        `<meta property="og:image" content="${escapeHTML(page.image)}">`,
+        '<meta name="twitter:card" content="summary_large_image">',
+        `<meta name="twitter:title" content="${escapeHTML(page.title)}">`,
+        `<meta name="twitter:description" content="${escapeHTML(page.description)}">`,
+        `<meta name="twitter:image" content="${escapeHTML(page.image)}">`,
+        // "<" is escaped so the JSON can never close the script tag
+        `<script type="application/ld+json">${JSON.stringify(person).replace(/</g, '\\u003c')}</script>`
+    ];
+    return tags.join('\n    ');
+}
+
+/**
+ * Make a view the active one and highlight its nav link
+ * @param {string} html - Page HTML
+ * @param {string} view - View id (home, projects, project, ...)
+ * @returns {string} Updated HTML
+ */
+function activateView(html, view) {
+    if (view === 'home') return html;
+
+    html = replaceOnce(html, '<main id="view-home" class="view-section active">', '<main id="view-home" class="view-section">');
+    html = replaceOnce(html, `id="view-${view}" class="view-section page-content">`, `id="view-${view}" class="view-section page-content active">`);
+
+    html = replaceOnce(html, 'class="hover-target nav-item active" id="link-home" aria-current="page"', 'class="hover-target nav-item" id="link-home"');
+    const link = view === 'project' ? 'projects' : view;
+    if (html.includes(`class="hover-target nav-item" id="link-${link}"`)) {
+        html = replaceOnce(html, `class="hover-target nav-item" id="link-${link}"`, `class="hover-target nav-item active" id="link-${link}" aria-current="page"`);
+    }
+    return html;
+}
+
+/**
+ * Resize a Cloudinary or Unsplash image, like IMAGE_CDNS in script.js
+ * @param {string} url - Original image URL
+ * @param {number} width - Target width
+ * @returns {string|null} Resized URL, or null for other hosts
+ */
+function resizeImageUrl(url, width) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+
+    if (parsed.hostname === 'res.cloudinary.com' && /\/image\/upload\/(v\d+\/)?[^/]+$/.test(parsed.pathname)) {
+        return parsed.href.replace('/image/upload/', `/image/upload/c_limit,w_${width},q_auto,f_auto/`);
+    }
+    if (parsed.hostname === 'images.unsplash.com') {
+        parsed.searchParams.set('auto', 'format');
+        parsed.searchParams.set('w', width);
+        parsed.searchParams.set('q', 75);
+        return parsed.href;
+    }
+    return null;
+}
+
+/**
+ * Point slotted images at a resized copy instead of the full original
+ * The original moves to data-src, where script.js reads it to build the srcset
+ * @param {string} markup - View markup
+ * @returns {string} Updated markup
+ */
+function shrinkSlottedImages(markup) {
+    return markup.replace(/<img data-slot="([\w-]+)" src="([^"]+)"/g, (tag, slot, src) => {
+        const resized = resizeImageUrl(src.replace(/&amp;/g, '&'), PRERENDER_IMAGE_WIDTH);
+        return resized ? `<img data-slot="${slot}" data-src="${src}" src="${escapeHTML(resized)}"` : tag;
+    });
+}
+
+/**
+ * Inline a view's <template> markup so the page ships with its content
+ * script.js treats a view whose template is gone as already mounted
+ * @param {string} html - Page HTML
+ * @param {string} view - View id
+ * @returns {string} Updated HTML
+ */
+function inlineViewTemplate(html, view) {
+    const open = `<template id="view-${view}-template">`;
+    const start = html.indexOf(open);
+    if (start === -1) return html;
+
+    const end = html.indexOf('</template>', start);
+    const markup = shrinkSlottedImages(html.slice(start + open.length, end));
+    return html.slice(0, start) + markup + html.slice(end + '</template>'.length);
+}
+
+/**
+ * Fill the profile-driven parts of the about view (English)
+ * @param {string} html - Page HTML
+ * @param {Object} profile - profile.json
+ * @returns {string} Updated HTML
+ */
+function fillProfile(html, profile) {
+    const birth = new Date(`${profile.birthDate}T00:00:00`);
+    const now = new Date();
+    let age = now.getFullYear() - birth.getFullYear();
+    if (now < new Date(now.getFullYear(), birth.getMonth(), birth.getDate())) age--;
+
+    html = replaceContent(html, 'hero-age', age);
+    html = replaceContent(html, 'profile-birth-date', birth.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }));
+    html = replaceContent(html, 'profile-location', escapeHTML(english(profile.location)));
+    html = replaceContent(html, 'profile-pronouns', escapeHTML(english(profile.pronouns)));
+    html = replaceContent(html, 'profile-role', escapeHTML(english(profile.role)));
+
+    const item = (heading, place, start, end) => `
+                    <div class="info-item">
+                        <h4>${escapeHTML(heading)}</h4>
+                        <p class="role-location">@ <span>${escapeHTML(place)}</span></p>
+                        <p class="date">${formatMonth(start)} - ${end ? formatMonth(end) : 'Present'}</p>
+                    </div>`;
+    const separator = '\n                    <div class="separator"></div>';
+
+    const experiences = (profile.experiences || [])
+        .map(entry => item(english(entry.title), english(entry.organization), entry.start, entry.end)).join(separator);
+    const education = (profile.education || [])
+        .map(entry => item(english(entry.degree), english(entry.institution), entry.start, entry.end)).join(separator);
+    const toolkit = [['Skills', english(profile.skills)], ['Tools', english(profile.tools)]]
+        .filter(([, items]) => items && items.length)
+        .map(([label, items]) => `
+                    <div class="toolkit-item">
+                        <h5>${label}</h5>
+                        <p>${escapeHTML(items.join(', '))}</p>
+                    </div>`).join(separator);
+
+    html = replaceContent(html, 'profile-experiences', `${experiences}\n                `);
+    html = replaceContent(html, 'profile-education', `${education}\n                `);
+    html = replaceContent(html, 'profile-toolkit', `${toolkit}\n                `);
+    return html;
+}
+
+/**
+ * List the projects in place of the slider's loading message
+ * script.js replaces the list with the slider once it runs
+ * @param {string} html - Page HTML
+ * @param {Object[]} projects - projects.json
+ * @returns {string} Updated HTML
+ */
+function fillProjectList(html, projects) {
+    const items = projects.map(project => `
+                    <li><a href="projects/${encodeURIComponent(project.slug)}/">${escapeHTML(project.title)}</a>: ${escapeHTML(project.description || '')}</li>`).join('');
+    return replaceOnce(html, 'role="status">Loading projects…</div>', `role="status">
+                <ul class="projects-prerendered">${items}
+                </ul>
+            </div>`);
+}
+
+/**
+ * Point a case-study pager link at a project and show its title
+ * @param {string} html - Page HTML
+ * @param {string} id - Link id
+ * @param {Object} project - Target project
+ * @returns {string} Updated HTML
+ */
+function fillPagerLink(html, id, project) {
+    const pattern = new RegExp(`(id="${id}" href=")#projects(">[\\s\\S]*?<span class="project-detail-pager-title">)(</span>)`);
+    if (!pattern.test(html)) throw new Error(`index.html changed: expected the #${id} pager link`);
+    return html.replace(pattern, (match, start, middle, end) =>
+        `${start}#projects/${encodeURIComponent(project.slug)}${middle}${escapeHTML(project.title)}${end}`);
+}
+
+/**
+ * Fill the case-study view for one project
+ * @param {string} html - Page HTML
+ * @param {Object} project - Entry from projects.json
+ * @param {Object} previous - Previous project (wraps around)
+ * @param {Object} next - Next project (wraps around)
+ * @returns {string} Updated HTML
+ */
+function fillProjectDetail(html, project, previous, next) {
+    const body = [].concat(project.body || project.description || []).map(paragraph => `<p>${escapeHTML(paragraph)}</p>`).join('');
+    const tags = (project.tags || []).map(tag => `<span class="p-tag">${escapeHTML(tag)}</span>`).join('');
+    const gallery = (project.gallery || []).map((src, i) =>
+        `<img src="${escapeHTML(src)}" alt="${escapeHTML(`${project.title}, image ${i + 2}`)}" loading="lazy">`).join('');
+    const links = (project.links || []).filter(link => link && link.url).map(link =>
+        `<li><a class="project-detail-link hover-target" href="${escapeHTML(link.url)}" target="_blank" rel="noopener">${escapeHTML(link.label || link.url)}</a></li>`).join('');
+
+    html = replaceOnce(html, 'id="project-detail-title"></h1>', `id="project-detail-title">${escapeHTML(project.title)}</h1>`);
+    html = replaceOnce(html, 'id="project-detail-summary"></p>', `id="project-detail-summary">${escapeHTML(project.description || '')}</p>`);
+    html = replaceOnce(html, '<img id="project-detail-hero" alt="">', `<img id="project-detail-hero" src="${escapeHTML(project.cover)}" alt="${escapeHTML(project.title)}">`);
+    html = replaceOnce(html, 'id="project-detail-body"></div>', `id="project-detail-body">${body}</div>`);
+    html = replaceOnce(html, 'id="project-detail-role"></dd>', `id="project-detail-role">${escapeHTML(project.role || '')}</dd>`);
+    html = replaceOnce(html, 'id="project-detail-tools"></dd>', `id="project-detail-tools">${escapeHTML((project.tools || []).join(', '))}</dd>`);
+    html = replaceOnce(html, 'id="project-detail-date"></dd>', `id="project-detail-date">${project.date ? project.date.slice(0, 4) : ''}</dd>`);
+    html = replaceOnce(html, 'id="project-detail-tags"></dd>', `id="project-detail-tags">${tags}</dd>`);
+    html = replaceOnce(html, 'id="project-detail-gallery"></div>', `id="project-detail-gallery">${gallery}</div>`);
+    html = replaceOnce(html, 'id="project-detail-links"></ul>', `id="project-detail-links">${links}</ul>`);
+
+    html = fillPagerLink(html, 'project-detail-prev', previous);
+    html = fillPagerLink(html, 'project-detail-next', next);
+    return html;
+}
+
+/**
+ * Render one page from the index.html template
+ * @param {string} template - Source index.html
+ * @param {Object} page - { route, view, title, description, image, fill }
+ * @param {Object} person - JSON-LD Person record
+ * @returns {string} Page HTML
+ */
+function renderPage(template, page, person) {
+    let html = template;
+
+    // Assets and hash links resolve from the site root at any depth
+    html = replaceOnce(html, '<html lang="en">', `<html lang="en" data-route="${escapeHTML(page.route)}">`);
+    html = replaceOnce(html, '<meta charset="UTF-8">', `<meta charset="UTF-8">\n    <base href="${new URL(SITE_URL).pathname}">`);
+    html = html.replace(/<title>[^<]*<\/title>/, () => createHeadTags(page, person));
+
+    if (YOUTUBE_CHANNEL_ID) {
+        html = replaceOnce(html, '<script src="script.js"></script>', `${VLOG_CONFIG_SNIPPET}\n    <script src="script.js"></script>`);
+    }
+
+    html = activateView(html, page.view);
+    html = inlineViewTemplate(html, page.view);
+    return page.fill ? page.fill(html) : html;
+}
+
+/**
+ * Write a file, creating its folder
+ * @param {string} file - Path relative to dist/
+ * @param {string} content - File contents
+ */
+function writeOutput(file, content) {
+    const target = path.join(OUT, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+}
+
+/**
+ * Copy the site's static assets into dist/
+ */
+function copyAssets() {
+    fs.readdirSync(ROOT, { withFileTypes: true })
+        .filter(entry => entry.isFile() && ASSET_EXTENSIONS.includes(path.extname(entry.name)))
+        .forEach(entry => fs.copyFileSync(path.join(ROOT, entry.name), path.join(OUT, entry.name)));
+
+    ASSET_DIRS
+        .filter(dir => fs.existsSync(path.join(ROOT, dir)))
+        .forEach(dir => fs.cpSync(path.join(ROOT, dir), path.join(OUT, dir), { recursive: true }));
+}
+
+/**
+ * Hash every file in dist/ except the service worker itself
+ * @returns {string} Short content hash of the build
+ */
+function hashBuild() {
+    const hash = crypto.createHash('sha256');
+    const worker = path.join(OUT, 'sw.js');
+
+    const walk = dir => fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(file);
+            } else if (file !== worker) {
+                hash.update(path.relative(OUT, file)).update(fs.readFileSync(file));
+            }
+        });
+
+    walk(OUT);
+    return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * Name the service worker's caches after the build
+ * @param {string} hash - Build hash from hashBuild()
+ */
+function stampServiceWorker(hash) {
+    const file = path.join(OUT, 'sw.js');
+    const source = fs.readFileSync(file, 'utf8');
+    fs.writeFileSync(file, replaceOnce(source, "const BUILD_HASH = 'dev';", `const BUILD_HASH = '${hash}';`));
+}
+
+/**
+ * Save the channel's feed as dist/vlog.xml
+ * A failed download only warns; the site then falls back to visitors' saved copies
+ * @param {string} channelId - YouTube channel id
+ * @returns {Promise<void>}
+ */
+function downloadVlogFeed(channelId) {
+    const url = `https://www.youtube.com/feeds/videos.xml?channel_id=${encodeURIComponent(channelId)}`;
+
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) throw new Error(`Feed request failed (${response.status})`);
+            return response.text();
+        })
+        .then(xml => writeOutput('vlog.xml', xml))
+        .catch(error => console.warn(`Couldn't download the vlog feed: ${error.message}`));
+}
+
+async function build() {
+    const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const profile = readJSON('profile.json');
+    const projects = readJSON('projects.json').filter(project => project && project.slug && project.title);
+    const person = createPersonSchema(profile);
+
+    const pages = VIEW_PAGES
+        .filter(page => page.view !== 'vlog' || YOUTUBE_CHANNEL_ID)
+        .map(page => ({ ...page, image: profile.photo }));
+    pages.find(page => page.view === 'about').fill = html => fillProfile(html, profile);
+    pages.find(page => page.view === 'projects').fill = html => fillProjectList(html, projects);
+
+    projects.forEach((project, index) => {
+        const previous = projects[(index - 1 + projects.length) % projects.length];
+        const next = projects[(index + 1) % projects.length];
+        pages.push({
+            route: `projects/${project.slug}`,
+            view: 'project',
+            type: 'article',
+            title: `${project.title} | ${SITE_NAME}`,
+            description: project.description || `${project.title}, a project by ${SITE_NAME}.`,
+            image: project.cover,
+            fill: html => fillProjectDetail(html, project, previous, next)
+        });
+    });
+
+    fs.rmSync(OUT, { recursive: true, force: true });
+    fs.mkdirSync(OUT, { recursive: true });
+    copyAssets();
+
+    pages.forEach(page => {
+        const file = page.route === 'home' ? 'index.html' : path.join(page.route, 'index.html');
+        writeOutput(file, renderPage(template, page, person));
+    });
+
+    writeOutput('404.html', renderPage(template, {
+        route: 'not-found',
+        view: 'not-found',
+        title: `Page not found | ${SITE_NAME}`,
+        description: 'The page you are looking for does not exist or has moved.',
+        image: profile.photo,
+        noindex: true
+    }, person));
+
+    const urls = pages.map(page => `    <url><loc>${page.route === 'home' ? SITE_URL : `${SITE_URL}${page.route}/`}</loc></url>`);
+    writeOutput('sitemap.xml', `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join('\n')}\n</urlset>\n`);
+
+    if (YOUTUBE_CHANNEL_ID) await downloadVlogFeed(YOUTUBE_CHANNEL_ID);
+
+    const hash = hashBuild();
+    stampServiceWorker(hash);
+
+    console.log(`Prerendered ${pages.length} pages (+404) into ${path.relative(ROOT, OUT)}/ for ${SITE_URL} (build ${hash})`);
+}
+
+build().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
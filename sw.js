@@ -0,0 +1,199 @@
+/* ============================================================================
+   SERVICE WORKER
+   ============================================================================
+   Makes the site installable and usable without a network
+   - Precaches the app shell: pages, styles, scripts, font, data, CV and GSAP
+   - Gallery and project images are cached as they're viewed, with a cap
+   - Pages are network-first; a page never saved for offline use gets the
+     app shell rendered as the offline view
+   - A new version waits until the visitor accepts the update prompt
+     (script.js posts "skip-waiting")
+   - Caches are named after the build hash, so each build drops the last
+     build's files when it activates
+   ============================================================================ */
+
+// Stamped with a hash of the build's files by scripts/prerender.js
+const BUILD_HASH = 'dev';
+
+// Unbuilt copies (the repository itself) check the network first, so edits show up on reload
+const IS_DEV = BUILD_HASH === 'dev';
+
+const CACHE_PREFIX = 'portfolio-';
+
+/**
+ * Caches
+ * - shell/pages belong to one build and are replaced by the next
+ * - images/cdn are runtime caches kept across builds, trimmed to maxEntries
+ *   (cross-origin images are opaque, so their size can't be read; the cap
+ *   is on the number of entries instead)
+ */
+const CACHES = {
+    shell: { name: `${CACHE_PREFIX}shell-${BUILD_HASH}` },
+    pages: { name: `${CACHE_PREFIX}pages-${BUILD_HASH}`, maxEntries: 30 },
+    images: { name: `${CACHE_PREFIX}images-v1`, maxEntries: 80 },
+    cdn: { name: `${CACHE_PREFIX}cdn-v1`, maxEntries: 30 }
+};
+
+// App shell, relative to the worker's scope
+const PRECACHE = [
+    './',
+    'script.js',
+    'style.css',
+    'Twizzlefrap-G3YdD.otf',
+    'EuroPassCV.pdf',
+    'profile.json',
+    'projects.json',
+    'locales/en.json',
+    'locales/bn.json',
+    'manifest.webmanifest',
+    'icon.svg',
+    'https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.2/gsap.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.2/ScrollTrigger.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.2/Flip.min.js'
+];
+
+// Hosts serving gallery, project and vlog images
+const IMAGE_HOSTS = ['res.cloudinary.com', 'images.unsplash.com', 'i.ytimg.com'];
+
+// Hosts serving third-party scripts, styles and fonts (EmailJS, PDF.js, Google Fonts)
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/**
+ * Drop the oldest entries of a runtime cache beyond its cap
+ * Cache keys come back in insertion order
+ * @param {{name: string, maxEntries: number}} config - Cache from CACHES
+ * @returns {Promise<void>}
+ */
+function trimCache(config) {
+    return caches.open(config.name).then(cache => cache.keys().then(keys => {
+        const excess = keys.slice(0, Math.max(0, keys.length - config.maxEntries));
+        return Promise.all(excess.map(key => cache.delete(key)));
+    })).then(() => {});
+}
+
+/**
+ * Store a copy of a response in a cache, trimming it afterwards
+ * Opaque (no-cors) responses are kept too; they can't be told apart from errors
+ * @param {{name: string, maxEntries?: number}} config - Cache from CACHES
+ * @param {Request} request - Request the response answers
+ * @param {Response} response - Response to store
+ * @returns {Promise<void>}
+ */
+function putInCache(config, request, response) {
+    if (!response || (!response.ok && response.type !== 'opaque')) return Promise.resolve();
+
+    return caches.open(config.name)
+        .then(cache => cache.put(request, response))
+        .then(() => (config.maxEntries ? trimCache(config) : undefined))
+        .catch(() => {});
+}
+
+/**
+ * Cache first, falling back to the network (and caching what comes back)
+ * @param {FetchEvent} event - Fetch event
+ * @param {Object} config - Cache from CACHES
+ * @returns {Promise<Response>}
+ */
+function cacheFirst(event, config) {
+    return caches.match(event.request).then(cached => cached || fetch(event.request).then(response => {
+        event.waitUntil(putInCache(config, event.request, response.clone()));
+        return response;
+    }));
+}
+
+/**
+ * Network first, falling back to the cache
+ * @param {FetchEvent} event - Fetch event
+ * @param {Object} config - Cache from CACHES
+ * @returns {Promise<Response>} Rejects when neither has it
+ */
+function networkFirst(event, config) {
+    return fetch(event.request).then(response => {
+        event.waitUntil(putInCache(config, event.request, response.clone()));
+        return response;
+    }).catch(error => caches.match(event.request).then(cached => {
+        if (cached) return cached;
+        throw error;
+    }));
+}
+
+/**
+ * Answer from the cache and refresh the cached copy in the background
+ * @param {FetchEvent} event - Fetch event
+ * @param {Object} config - Cache from CACHES
+ * @returns {Promise<Response>}
+ */
+function staleWhileRevalidate(event, config) {
+    const update = fetch(event.request).then(response => {
+        event.waitUntil(putInCache(config, event.request, response.clone()));
+        return response;
+    });
+    event.waitUntil(update.then(() => {}, () => {}));
+
+    return caches.match(event.request).then(cached => cached || update);
+}
+
+/**
+ * The app shell rendered as the offline view
+ * Uses the same <html data-route> hook as prerendered pages (see getHashPath in script.js)
+ * @returns {Promise<Response>}
+ */
+function offlineResponse() {
+    return caches.match('./', { cacheName: CACHES.shell.name }).then(shell => {
+        if (!shell) return Response.error();
+
+        return shell.text().then(html => new Response(
+            html.replace(/<html([^>]*?)(?: data-route="[^"]*")?>/, '<html$1 data-route="offline">'),
+            { headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+        ));
+    });
+}
+
+self.addEventListener('install', (event) => {
+    // "reload" skips the HTTP cache, so the shell matches this build
+    const requests = PRECACHE.map(url => new Request(url, { cache: 'reload' }));
+    event.waitUntil(caches.open(CACHES.shell.name).then(cache => cache.addAll(requests)));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = Object.values(CACHES).map(config => config.name);
+
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+            .map(name => caches.delete(name))))
+        // The first install takes over open pages right away, so they work offline
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(event, CACHES.pages).catch(offlineResponse));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        // API calls (e.g. scripts/mock-server.js) are never cached
+        if (url.pathname.startsWith('/api/')) return;
+        event.respondWith(IS_DEV ? networkFirst(event, CACHES.pages) : cacheFirst(event, CACHES.pages));
+        return;
+    }
+
+    if (IMAGE_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(event, CACHES.images));
+        return;
+    }
+
+    if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, CACHES.cdn));
+    }
+});